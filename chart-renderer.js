@@ -0,0 +1,166 @@
+/**
+ * @file chart-renderer.js
+ * @description Renders ui.Chart data tables to local files
+ *
+ * The runner's ui.Chart shims capture what a script charts; once the data
+ * table has been evaluated on Earth Engine it is handed here as
+ * { columns: [x, series...], rows: [[x, y1, y2, ...], ...] } and written as
+ * CSV and as a standalone SVG, so headless runs keep the diagnostics the Code
+ * Editor would have drawn. No chart library is needed.
+ */
+
+const DEFAULT_COLORS = ['#3366cc', '#dc3912', '#ff9900', '#109618', '#990099', '#0099c6', '#dd4477', '#66aa00'];
+
+const WIDTH = 800;
+const HEIGHT = 400;
+const MARGIN = { top: 40, right: 170, bottom: 55, left: 70 };
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {{columns: Array<string>, rows: Array<Array<*>>}} table
+ * @returns {string} CSV with a header row
+ */
+function toCsv(table) {
+  return [table.columns, ...table.rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Numbers, ISO dates or (otherwise) categories placed at their row index
+function xScaleFor(values) {
+  if (values.every(v => typeof v === 'number')) return { kind: 'number', toNumber: v => v };
+  if (values.every(v => typeof v === 'string' && !Number.isNaN(Date.parse(v)) && /^\d{4}-\d{2}/.test(v))) {
+    return { kind: 'date', toNumber: v => Date.parse(v) };
+  }
+  return { kind: 'category', toNumber: (v, i) => i };
+}
+
+// About `count` round tick values covering [min, max]
+function niceTicks(min, max, count = 5) {
+  if (min === max) return [min];
+  const raw = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+    ticks.push(Number(t.toPrecision(12)));
+  }
+  return ticks;
+}
+
+function formatTick(value, kind) {
+  if (kind === 'date') return new Date(value).toISOString().slice(0, 10);
+  return Math.abs(value) >= 1e5 || (value !== 0 && Math.abs(value) < 1e-3) ? value.toExponential(1) : String(value);
+}
+
+/**
+ * Renders the table as an SVG line, scatter or column chart.
+ *
+ * @param {{columns: Array<string>, rows: Array<Array<*>>}} table
+ * @param {Object} [options] - ui.Chart options: title, hAxis.title, vAxis.title, colors,
+ *                             plus chartType ('LineChart', 'ScatterChart', 'ColumnChart', ...)
+ * @returns {string} SVG document
+ */
+function renderChartSvg(table, options = {}) {
+  const chartType = options.chartType || 'LineChart';
+  const colors = options.colors || DEFAULT_COLORS;
+  const series = table.columns.slice(1);
+  const plotW = WIDTH - MARGIN.left - MARGIN.right;
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  const xValues = table.rows.map(r => r[0]);
+  const xScale = chartType === 'ColumnChart' ? { kind: 'category', toNumber: (v, i) => i } : xScaleFor(xValues);
+  const xs = xValues.map((v, i) => xScale.toNumber(v, i));
+  const ys = table.rows.flatMap(r => r.slice(1)).filter(v => typeof v === 'number' && Number.isFinite(v));
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="sans-serif" font-size="11">`);
+  out.push(`<rect width="${WIDTH}" height="${HEIGHT}" fill="#ffffff"/>`);
+  if (options.title) {
+    out.push(`<text x="${WIDTH / 2}" y="22" text-anchor="middle" font-size="14" font-weight="bold">${escapeXml(options.title)}</text>`);
+  }
+
+  if (table.rows.length === 0 || ys.length === 0) {
+    out.push(`<text x="${WIDTH / 2}" y="${HEIGHT / 2}" text-anchor="middle" fill="#888888">No data</text>`);
+    out.push('</svg>');
+    return out.join('\n') + '\n';
+  }
+
+  let yMin = Math.min(...ys);
+  let yMax = Math.max(...ys);
+  if (chartType === 'ColumnChart') yMin = Math.min(0, yMin);
+  if (yMin === yMax) { yMin -= 1; yMax += 1; }
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const band = chartType === 'ColumnChart' ? plotW / table.rows.length : 0;
+
+  const px = (x) => chartType === 'ColumnChart'
+    ? MARGIN.left + band * (x + 0.5)
+    : MARGIN.left + (xMax === xMin ? plotW / 2 : (x - xMin) / (xMax - xMin) * plotW);
+  const py = (y) => MARGIN.top + plotH - (y - yMin) / (yMax - yMin) * plotH;
+
+  // Axes, grid and ticks
+  out.push(`<g stroke="#cccccc" stroke-width="1">`);
+  niceTicks(yMin, yMax).forEach(t => out.push(`<line x1="${MARGIN.left}" x2="${MARGIN.left + plotW}" y1="${py(t).toFixed(1)}" y2="${py(t).toFixed(1)}"/>`));
+  out.push('</g>');
+  out.push(`<g fill="#444444">`);
+  niceTicks(yMin, yMax).forEach(t => out.push(`<text x="${MARGIN.left - 6}" y="${(py(t) + 4).toFixed(1)}" text-anchor="end">${escapeXml(formatTick(t, 'number'))}</text>`));
+  if (xScale.kind === 'category') {
+    const every = Math.max(1, Math.ceil(table.rows.length / 12));
+    xValues.forEach((v, i) => {
+      if (i % every === 0) out.push(`<text x="${px(xs[i]).toFixed(1)}" y="${MARGIN.top + plotH + 16}" text-anchor="middle">${escapeXml(typeof v === 'number' ? formatTick(v, 'number') : v)}</text>`);
+    });
+  } else {
+    const ticks = xScale.kind === 'date'
+      ? Array.from({ length: 5 }, (_, i) => xMin + (xMax - xMin) * i / 4)
+      : niceTicks(xMin, xMax);
+    ticks.forEach(t => out.push(`<text x="${px(t).toFixed(1)}" y="${MARGIN.top + plotH + 16}" text-anchor="middle">${escapeXml(formatTick(t, xScale.kind))}</text>`));
+  }
+  out.push('</g>');
+  out.push(`<rect x="${MARGIN.left}" y="${MARGIN.top}" width="${plotW}" height="${plotH}" fill="none" stroke="#444444"/>`);
+
+  const hTitle = options.hAxis && options.hAxis.title;
+  const vTitle = options.vAxis && options.vAxis.title;
+  if (hTitle) out.push(`<text x="${MARGIN.left + plotW / 2}" y="${HEIGHT - 12}" text-anchor="middle">${escapeXml(hTitle)}</text>`);
+  if (vTitle) out.push(`<text transform="translate(16 ${MARGIN.top + plotH / 2}) rotate(-90)" text-anchor="middle">${escapeXml(vTitle)}</text>`);
+
+  // Data
+  series.forEach((name, s) => {
+    const color = colors[s % colors.length];
+    const points = table.rows
+      .map((r, i) => [xs[i], r[s + 1]])
+      .filter(([, y]) => typeof y === 'number' && Number.isFinite(y));
+
+    if (chartType === 'ColumnChart') {
+      const barW = band * 0.8 / series.length;
+      points.forEach(([x, y]) => {
+        const left = MARGIN.left + band * x + band * 0.1 + barW * s;
+        const top = Math.min(py(y), py(0));
+        out.push(`<rect x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${barW.toFixed(1)}" height="${Math.abs(py(y) - py(0)).toFixed(1)}" fill="${color}"/>`);
+      });
+    } else {
+      if (chartType !== 'ScatterChart' && points.length > 1) {
+        const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+        out.push(`<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${sorted.map(([x, y]) => `${px(x).toFixed(1)},${py(y).toFixed(1)}`).join(' ')}"/>`);
+      }
+      points.forEach(([x, y]) => out.push(`<circle cx="${px(x).toFixed(1)}" cy="${py(y).toFixed(1)}" r="2.5" fill="${color}"/>`));
+    }
+
+    // Legend
+    const ly = MARGIN.top + 10 + s * 18;
+    out.push(`<rect x="${MARGIN.left + plotW + 15}" y="${ly - 8}" width="10" height="10" fill="${color}"/>`);
+    out.push(`<text x="${MARGIN.left + plotW + 30}" y="${ly + 1}">${escapeXml(name)}</text>`);
+  });
+
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+module.exports = { renderChartSvg, toCsv };
@@ -0,0 +1,464 @@
+/**
+ * @file dependency-scanner.js
+ * @description Finds the GEE require() calls in caller scripts and modules
+ *
+ * A small JavaScript tokenizer (comments, strings, template literals, regex
+ * literals) is enough to tell real code from comments, so every require is
+ * classified as one of:
+ *
+ *   literal    require('users/u/repo:path')              - always followed
+ *   dynamic    require(base + 'path'), require(name)     - followed when the
+ *              argument folds to a constant string using the file's own
+ *              var/let/const string bindings, otherwise reported unresolved
+ *   commented  // var x = require('users/...')           - reported only
+ *
+ * Requires inside if/else/switch/try blocks, loops, ternaries and && / ||
+ * are marked `conditional`: they are followed, but may not run at all.
+ *
+ * buildDependencyGraph() walks the requires from a caller script and
+ * returns a graph that toDot() renders for Graphviz.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GEE_PREFIX = 'users/';
+
+// Keywords after which a `/` starts a regex literal rather than a division
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await'
+]);
+
+// Block/statement keywords whose body only runs conditionally
+const CONDITIONAL_KEYWORDS = new Set(['if', 'else', 'switch', 'case', 'try', 'catch', 'finally', 'for', 'while', 'do']);
+
+/**
+ * Splits JavaScript source into tokens with 1-based line/column positions.
+ * Token types: comment, string, template, regex, number, name, punct.
+ * Template literals with ${...} substitutions get `dynamic: true`.
+ */
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let col = 1;
+
+  const advance = (n) => {
+    for (let k = 0; k < n; k++) {
+      if (code[i] === '\n') { line++; col = 1; } else { col++; }
+      i++;
+    }
+  };
+
+  const lastSignificant = () => {
+    for (let k = tokens.length - 1; k >= 0; k--) {
+      if (tokens[k].type !== 'comment') return tokens[k];
+    }
+    return null;
+  };
+
+  const regexAllowed = () => {
+    const prev = lastSignificant();
+    if (!prev) return true;
+    if (prev.type === 'name') return REGEX_AFTER_KEYWORDS.has(prev.value);
+    if (prev.type === 'punct') return ![')', ']', '}'].includes(prev.value);
+    return false;
+  };
+
+  // Skips a quoted string starting at i; returns its decoded value
+  const readQuoted = (quote) => {
+    let value = '';
+    advance(1);
+    while (i < code.length && code[i] !== quote && code[i] !== '\n') {
+      if (code[i] === '\\') {
+        const next = code[i + 1];
+        value += { n: '\n', t: '\t', r: '\r' }[next] || next;
+        advance(2);
+      } else {
+        value += code[i];
+        advance(1);
+      }
+    }
+    advance(1);
+    return value;
+  };
+
+  // Skips a template literal, including nested ${...} expressions
+  const readTemplate = () => {
+    let value = '';
+    let dynamic = false;
+    advance(1);
+    while (i < code.length && code[i] !== '`') {
+      if (code[i] === '\\') {
+        value += code[i + 1];
+        advance(2);
+      } else if (code[i] === '$' && code[i + 1] === '{') {
+        dynamic = true;
+        advance(2);
+        let depth = 1;
+        while (i < code.length && depth > 0) {
+          if (code[i] === '{') depth++;
+          else if (code[i] === '}') depth--;
+          else if (code[i] === '\'' || code[i] === '"') { readQuoted(code[i]); continue; }
+          else if (code[i] === '`') { readTemplate(); continue; }
+          advance(1);
+        }
+      } else {
+        value += code[i];
+        advance(1);
+      }
+    }
+    advance(1);
+    return { value, dynamic };
+  };
+
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({ type, value, ...extra, line: start.line, col: start.col, offset: start.offset, end: i });
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+    const start = { line, col, offset: i };
+
+    if (/\s/.test(ch)) {
+      advance(1);
+    } else if (ch === '/' && code[i + 1] === '/') {
+      const end = code.indexOf('\n', i);
+      const text = code.slice(i, end === -1 ? code.length : end);
+      advance(text.length);
+      push('comment', text, start);
+    } else if (ch === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      const text = code.slice(i, end === -1 ? code.length : end + 2);
+      advance(text.length);
+      push('comment', text, start);
+    } else if (ch === '\'' || ch === '"') {
+      const value = readQuoted(ch);
+      push('string', value, start);
+    } else if (ch === '`') {
+      const { value, dynamic } = readTemplate();
+      push('template', value, start, { dynamic });
+    } else if (ch === '/' && regexAllowed()) {
+      let inClass = false;
+      advance(1);
+      while (i < code.length && code[i] !== '\n' && (inClass || code[i] !== '/')) {
+        if (code[i] === '\\') advance(1);
+        else if (code[i] === '[') inClass = true;
+        else if (code[i] === ']') inClass = false;
+        advance(1);
+      }
+      advance(1);
+      while (i < code.length && /[a-z]/i.test(code[i])) advance(1);
+      push('regex', code.slice(start.offset, i), start);
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(code[i + 1] || ''))) {
+      const match = /^(0[xob][0-9a-f_]+|[0-9_]*\.?[0-9_]+(e[+-]?[0-9]+)?)n?/i.exec(code.slice(i));
+      advance(match ? Math.max(1, match[0].length) : 1);
+      push('number', code.slice(start.offset, i), start);
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[A-Za-z0-9_$]+/.exec(code.slice(i));
+      advance(match[0].length);
+      push('name', match[0], start);
+    } else {
+      advance(1);
+      push('punct', ch, start);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Collects string constants from `name = <string expr>` (declarations and
+ * plain assignments). A name assigned more than once with different values
+ * maps to null (ambiguous).
+ */
+function collectStringBindings(tokens) {
+  const bindings = {};
+  const assign = (name, value) => {
+    if (name in bindings && bindings[name] !== value) bindings[name] = null;
+    else bindings[name] = value;
+  };
+
+  for (let k = 0; k < tokens.length - 2; k++) {
+    const t = tokens[k];
+    const next = tokens[k + 1];
+    if (t.type !== 'name' || !next || next.type !== 'punct' || next.value !== '=') continue;
+    if (tokens[k + 2].type === 'punct' && tokens[k + 2].value === '=') continue;   // ==, ===
+    const prev = tokens[k - 1];
+    if (prev && prev.type === 'punct' && prev.value === '.') continue;              // obj.prop = ...
+
+    const exprTokens = [];
+    for (let m = k + 2; m < tokens.length; m++) {
+      const e = tokens[m];
+      if (e.type === 'punct' && [';', ',', ')', '}'].includes(e.value)) break;
+      if (exprTokens.length > 0 && e.line !== exprTokens[exprTokens.length - 1].line &&
+          !(e.type === 'punct' && e.value === '+') &&
+          !(exprTokens[exprTokens.length - 1].type === 'punct' && exprTokens[exprTokens.length - 1].value === '+')) break;
+      exprTokens.push(e);
+    }
+    const value = foldStringExpression(exprTokens, bindings);
+    assign(t.value, value);
+  }
+  return bindings;
+}
+
+/**
+ * Folds `'a' + name + 'b'` (strings, non-dynamic templates and known string
+ * bindings joined with +) to a constant string. Returns null otherwise.
+ */
+function foldStringExpression(exprTokens, bindings) {
+  if (exprTokens.length === 0) return null;
+  let result = '';
+  let expectOperand = true;
+  for (const t of exprTokens) {
+    if (expectOperand) {
+      if (t.type === 'string' || (t.type === 'template' && !t.dynamic)) result += t.value;
+      else if (t.type === 'name' && typeof bindings[t.value] === 'string') result += bindings[t.value];
+      else return null;
+    } else if (!(t.type === 'punct' && t.value === '+')) {
+      return null;
+    }
+    expectOperand = !expectOperand;
+  }
+  return expectOperand ? null : result;
+}
+
+/**
+ * Whether the require at index k sits in code that may not run: inside a
+ * block or single statement of if/else/switch/try/loop, or an operand of
+ * ?: && ||.
+ */
+function isConditional(tokens, k) {
+  if (inTernaryOrLogical(tokens, k)) return true;
+
+  // Walk back over enclosing blocks and look at what opened each one
+  let depth = 0;
+  for (let m = k - 1; m >= 0; m--) {
+    const t = tokens[m];
+    if (t.type !== 'punct') continue;
+    if ([')', ']', '}'].includes(t.value)) depth++;
+    else if (['(', '['].includes(t.value) && depth > 0) depth--;
+    else if (t.value === '{') {
+      if (depth > 0) depth--;
+      else if (openedByKeyword(tokens, m)) return true;
+    }
+  }
+  return isBracelessBody(tokens, k);
+}
+
+// `a ? require(x) : y`, `a && require(x)`, `a || require(x)` in the same expression
+function inTernaryOrLogical(tokens, k) {
+  let depth = 0;
+  for (let m = k - 1; m >= 0; m--) {
+    const t = tokens[m];
+    if (t.type !== 'punct') {
+      if (t.type === 'name' && depth === 0 && ['var', 'let', 'const', 'return'].includes(t.value)) return false;
+      continue;
+    }
+    if ([')', ']', '}'].includes(t.value)) { depth++; continue; }
+    if (['(', '[', '{'].includes(t.value)) {
+      if (depth === 0) return false;
+      depth--;
+      continue;
+    }
+    if (depth > 0) continue;
+    if ([';', ','].includes(t.value)) return false;
+    if (t.value === '?') return true;
+    if ((t.value === '&' || t.value === '|') && tokens[m - 1] && tokens[m - 1].value === t.value) return true;
+  }
+  return false;
+}
+
+// Keyword that introduced the block whose `{` is at index m
+function openedByKeyword(tokens, m) {
+  let before = tokens[m - 1];
+  if (before && before.type === 'punct' && before.value === ')') {
+    const open = matchingOpen(tokens, m - 1);
+    before = open > 0 ? tokens[open - 1] : null;
+  }
+  return !!before && before.type === 'name' && CONDITIONAL_KEYWORDS.has(before.value);
+}
+
+// Single statement after `if (...)`, `else`, `for (...)`, `while (...)`
+function isBracelessBody(tokens, k) {
+  let m = k - 1;
+  // Back to the start of the statement (skipping `var x =` and the like)
+  while (m >= 0) {
+    const t = tokens[m];
+    if (t.type === 'punct' && [';', '{', '}', ')'].includes(t.value)) break;
+    if (t.type === 'name' && ['else', 'do'].includes(t.value)) return true;
+    m--;
+  }
+  if (m < 0 || tokens[m].value !== ')') return false;
+  return openedByKeyword(tokens, m + 1);
+}
+
+function matchingOpen(tokens, closeIndex) {
+  let depth = 0;
+  for (let m = closeIndex; m >= 0; m--) {
+    const t = tokens[m];
+    if (t.type !== 'punct') continue;
+    if (t.value === ')') depth++;
+    else if (t.value === '(' && --depth === 0) return m;
+  }
+  return -1;
+}
+
+/**
+ * Scans one source text.
+ *
+ * @returns {{literal: Array<{path, line, col, conditional}>,
+ *            dynamic: Array<{expression, path, line, col, conditional}>,
+ *            commented: Array<{path, line}>}}
+ *   `dynamic[].path` is the folded GEE path, or null when it cannot be resolved.
+ */
+function scanSource(code) {
+  const all = tokenize(code);
+  const tokens = all.filter(t => t.type !== 'comment');
+  const bindings = collectStringBindings(tokens);
+  const result = { literal: [], dynamic: [], commented: [] };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.type !== 'name' || t.value !== 'require') continue;
+    const prev = tokens[k - 1];
+    const open = tokens[k + 1];
+    if (prev && prev.type === 'punct' && prev.value === '.') continue;
+    if (!open || open.type !== 'punct' || open.value !== '(') continue;
+
+    // First argument: tokens up to the matching ) or a top-level comma
+    const argTokens = [];
+    let depth = 0;
+    for (let m = k + 2; m < tokens.length; m++) {
+      const a = tokens[m];
+      if (a.type === 'punct' && ['(', '[', '{'].includes(a.value)) depth++;
+      if (a.type === 'punct' && [')', ']', '}'].includes(a.value)) {
+        if (depth === 0) break;
+        depth--;
+      }
+      if (depth === 0 && a.type === 'punct' && a.value === ',') break;
+      argTokens.push(a);
+    }
+    if (argTokens.length === 0) continue;
+
+    const conditional = isConditional(tokens, k);
+    const position = { line: t.line, col: t.col };
+
+    if (argTokens.length === 1 && argTokens[0].type === 'string') {
+      if (argTokens[0].value.startsWith(GEE_PREFIX)) {
+        result.literal.push({ path: argTokens[0].value, ...position, conditional });
+      }
+      continue;
+    }
+
+    const folded = foldStringExpression(argTokens, bindings);
+    if (folded !== null && !folded.startsWith(GEE_PREFIX)) continue;   // Node built-ins etc.
+    const expression = code.slice(argTokens[0].offset, argTokens[argTokens.length - 1].end).replace(/\s+/g, ' ');
+    result.dynamic.push({ expression, path: folded, ...position, conditional });
+  }
+
+  // Requires that only appear in comments
+  const commentRegex = /require\s*\(\s*['"`](users\/[^'"`]+)['"`]\s*\)/g;
+  for (const c of all.filter(t => t.type === 'comment')) {
+    let match;
+    while ((match = commentRegex.exec(c.value)) !== null) {
+      const line = c.line + (c.value.slice(0, match.index).match(/\n/g) || []).length;
+      result.commented.push({ path: match[1], line });
+    }
+  }
+
+  return result;
+}
+
+function scanFile(filePath) {
+  return scanSource(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Walks the requires reachable from `startFile`.
+ *
+ * @param {string} startFile - Caller script
+ * @param {function(string): (string|null)} resolveImport - GEE path -> local file
+ * @returns {{root: string, nodes: Object, edges: Array, unresolvedDynamic: Array, commented: Array}}
+ *   nodes: id -> { id, file, missing }; the root id is the caller's file name,
+ *   every other id is a GEE require path.
+ *   edges: { from, to, kind: 'literal'|'dynamic', line, conditional }
+ */
+function buildDependencyGraph(startFile, resolveImport) {
+  const root = path.basename(startFile);
+  const graph = {
+    root,
+    nodes: { [root]: { id: root, file: startFile, missing: false } },
+    edges: [],
+    unresolvedDynamic: [],
+    commented: []
+  };
+
+  const queue = [{ id: root, file: startFile }];
+  const scanned = new Set();
+
+  while (queue.length > 0) {
+    const { id, file } = queue.shift();
+    if (scanned.has(id)) continue;
+    scanned.add(id);
+
+    let scan;
+    try {
+      scan = scanFile(file);
+    } catch (err) {
+      graph.nodes[id].error = err.message;
+      continue;
+    }
+
+    const follow = (dep, kind) => {
+      graph.edges.push({ from: id, to: dep.path, kind, line: dep.line, conditional: dep.conditional });
+      if (!graph.nodes[dep.path]) {
+        const localFile = resolveImport(dep.path);
+        graph.nodes[dep.path] = { id: dep.path, file: localFile, missing: !localFile };
+        if (localFile) queue.push({ id: dep.path, file: localFile });
+      }
+    };
+
+    scan.literal.forEach(dep => follow(dep, 'literal'));
+    scan.dynamic.forEach(dep => {
+      if (dep.path) follow(dep, 'dynamic');
+      else graph.unresolvedDynamic.push({ from: id, expression: dep.expression, line: dep.line });
+    });
+    scan.commented.forEach(dep => graph.commented.push({ from: id, path: dep.path, line: dep.line }));
+  }
+
+  return graph;
+}
+
+/**
+ * Renders a dependency graph as Graphviz DOT. Missing modules are red,
+ * dynamic requires dashed, conditional requires dotted.
+ */
+function toDot(graph) {
+  const quote = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const label = (id) => id === graph.root ? id : id.replace(/^users\/[^/]+\//, '').replace(':', ':\n');
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box, fontsize=10];'];
+
+  for (const node of Object.values(graph.nodes)) {
+    const attrs = [`label=${quote(label(node.id))}`];
+    if (node.id === graph.root) attrs.push('style=bold');
+    if (node.missing) attrs.push('color=red', 'fontcolor=red');
+    lines.push(`  ${quote(node.id)} [${attrs.join(', ')}];`);
+  }
+  for (const edge of graph.edges) {
+    const attrs = [];
+    if (edge.kind === 'dynamic') attrs.push('style=dashed');
+    else if (edge.conditional) attrs.push('style=dotted');
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+  graph.unresolvedDynamic.forEach((d, n) => {
+    const id = `dynamic_${n + 1}`;
+    lines.push(`  ${quote(id)} [label=${quote(`require(${d.expression})`)}, shape=note, color=orange];`);
+    lines.push(`  ${quote(d.from)} -> ${quote(id)} [style=dashed, color=orange];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { tokenize, scanSource, scanFile, buildDependencyGraph, toDot };
@@ -0,0 +1,189 @@
+/**
+ * @file ee-recorder.js
+ * @description Offline stand-in for the @google/earthengine client
+ *
+ * Every ee.* constructor, static function and method call returns a recorded
+ * node instead of talking to Google. Nothing is computed: the recorder only
+ * remembers which calls were made, with which arguments, so a caller script
+ * and its module graph can be executed end-to-end without credentials.
+ *
+ * Functions passed as arguments (e.g. collection.map(fn)) are invoked once
+ * with placeholder nodes, the same way the real client traces them, so code
+ * inside mapped functions is exercised too.
+ *
+ * serialize() turns any value holding nodes (an Export config, a module's
+ * return object, ...) into a plain JSON expression graph that tests can assert
+ * on or compare against a golden snapshot.
+ */
+
+// Client-side callbacks that the real client fires asynchronously after a
+// server round-trip. They are recorded but never invoked offline.
+const CLIENT_CALLBACK_METHODS = new Set([
+  'evaluate', 'getInfo', 'getMap', 'getMapId', 'getDownloadURL', 'getDownloadId',
+  'getThumbURL', 'getThumbId', 'getFilmstripThumbURL', 'getVideoThumbURL'
+]);
+
+/**
+ * Creates a fresh recorder. Each run should use its own so recordings from
+ * different experiments never mix.
+ *
+ * @returns {{ee: Object, calls: Array<Object>, isNode: function(*): boolean, describe: function(*): string,
+ *            placeholder: function(string): Object, serialize: function(*): Object}}
+ */
+function createRecordingEE() {
+  const calls = [];
+  const records = new WeakMap();   // node proxy -> record
+  const traces = new WeakMap();    // traced callback -> { params, returns }
+  let nextId = 1;
+  let nextVariable = 1;
+
+  const isNode = (value) => (typeof value === 'function' || typeof value === 'object') &&
+    value !== null && records.has(value);
+
+  function describe(value) {
+    const record = isNode(value) && records.get(value);
+    if (!record) return String(value);
+    if (record.op === 'variable') return record.name;
+    return record.target ? `${describe(record.target)}.${record.name}(…)` : `ee.${record.name}`;
+  }
+
+  // Mapped functions are traced with placeholder arguments, like the real client does
+  function traceCallbacks(name, args) {
+    if (CLIENT_CALLBACK_METHODS.has(name)) return;
+    for (const arg of args) {
+      if (typeof arg === 'function' && !isNode(arg)) {
+        const placeholders = Array.from({ length: Math.max(1, arg.length) },
+          () => makeNode({ op: 'variable', name: `_MAPPING_VAR_${nextVariable++}` }));
+        traces.set(arg, { params: placeholders, returns: arg(...placeholders) });
+      }
+    }
+  }
+
+  function recordCall(op, name, target, args) {
+    const record = { id: nextId++, op, name, target: target || null, args };
+    calls.push(record);
+    const node = makeNode(record);
+    traceCallbacks(name, args);
+    return node;
+  }
+
+  /**
+   * A node is callable (so ee.Image(...) and ee.Image.constant(...) both work)
+   * and every property on it is another callable: a static member for
+   * namespaces (ee.Geometry.Polygon) or a method for values (image.select).
+   */
+  function makeNode(record) {
+    const target = function () {};
+    const node = new Proxy(target, {
+      get(_, prop) {
+        if (prop === Symbol.toPrimitive) return () => `<${describe(node)}>`;
+        if (typeof prop === 'symbol') return undefined;
+        if (prop === 'then') return undefined;   // Never look like a Promise
+        if (prop === 'toString' || prop === 'valueOf') return () => `<${describe(node)}>`;
+        if (prop === 'toJSON') return () => ({ ee: describe(node), id: record.id });
+        if (prop === 'prototype') return target.prototype;
+        return memberOf(node, record, prop);
+      },
+      apply(_, thisArg, args) {
+        return invoke(node, record, args);
+      },
+      construct(_, args) {
+        return invoke(node, record, args);
+      }
+    });
+    records.set(node, record);
+    return node;
+  }
+
+  // Property access: namespaces extend their path, values get method references
+  function memberOf(node, record, prop) {
+    if (record.op === 'namespace') {
+      return makeNode({ id: 0, op: 'namespace', name: `${record.name}.${prop}`, target: null, args: [] });
+    }
+    return makeNode({ id: 0, op: 'method', name: prop, target: node, args: [] });
+  }
+
+  function invoke(node, record, args) {
+    if (record.op === 'namespace') return recordCall('call', record.name, null, args);
+    if (record.op === 'method') return recordCall('call', record.name, record.target, args);
+    return recordCall('call', '(invoke)', node, args);
+  }
+
+  const ee = new Proxy({}, {
+    get(_, prop) {
+      if (typeof prop === 'symbol' || prop === 'then') return undefined;
+      if (prop === 'initialize') return (a, b, onSuccess) => { if (onSuccess) onSuccess(); };
+      return makeNode({ id: 0, op: 'namespace', name: prop, target: null, args: [] });
+    }
+  });
+
+  // Stand-in for a whole module that could not be loaded: any export read from
+  // it is a callable node, so execution can continue past the failure.
+  const placeholder = (name) => makeNode({ id: 0, op: 'namespace', name, target: null, args: [] });
+
+  /**
+   * Serializes `root` into { result, values }: every recorded call reachable
+   * from root becomes an entry in `values`, keyed by its position in a
+   * depth-first walk (so unrelated calls don't shift the numbering), and is
+   * referenced elsewhere as { ref: "<key>" }. Shared sub-expressions appear once.
+   *
+   *   call       { call: "ImageCollection.filterBounds" | "select", on?: <value>, args: [<value>...] }
+   *   namespace  { ee: "Reducer.mean" }             (passed without being called)
+   *   method     { method: "rename", on: <value> }  (passed without being called)
+   *   variable   { variable: "_MAPPING_VAR_1" }
+   *   function   { function: { params: [...], returns: <value> } }
+   */
+  function serialize(root) {
+    const values = {};
+    const keys = new Map();   // record -> key in values
+
+    function encode(value, stack) {
+      if (value === undefined) return null;
+      if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+      if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+
+      if (isNode(value)) {
+        const record = records.get(value);
+        if (record.op === 'variable') return { variable: record.name };
+        if (record.op === 'namespace') return { ee: record.name };
+        if (record.op === 'method') return { method: record.name, on: encode(record.target, stack) };
+
+        if (!keys.has(record)) {
+          const key = String(keys.size);
+          keys.set(record, key);
+          const entry = { call: record.name };
+          values[key] = entry;
+          if (record.target) entry.on = encode(record.target, stack);
+          entry.args = record.args.map(arg => encode(arg, stack));
+        }
+        return { ref: keys.get(record) };
+      }
+
+      if (typeof value === 'function') {
+        const trace = traces.get(value);
+        if (!trace) return { function: null };
+        return {
+          function: {
+            params: trace.params.map(p => records.get(p).name),
+            returns: encode(trace.returns, stack)
+          }
+        };
+      }
+
+      if (stack.includes(value)) return { circular: true };
+      const inner = [...stack, value];
+      if (Array.isArray(value)) return value.map(v => encode(v, inner));
+
+      const out = {};
+      for (const key of Object.keys(value)) out[key] = encode(value[key], inner);
+      return out;
+    }
+
+    const result = encode(root, []);
+    return { result, values };
+  }
+
+  return { ee, calls, isNode, describe, placeholder, serialize };
+}
+
+module.exports = { createRecordingEE, CLIENT_CALLBACK_METHODS };
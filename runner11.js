@@ -16,10 +16,22 @@
  * - Module caching for performance
  */
 
-const ee = require('@google/earthengine');
 const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
+const util = require('util');
+const crypto = require('crypto');
+const { createRecordingEE } = require('./ee-recorder');
+const { renderChartSvg, toCsv } = require('./chart-renderer');
+const { resolveStudyArea, resolveStudyAreaPath, toEeFilter, checkPolygons, closePolygons, clipPolygonsToBox } = require('./study-area');
+
+// Earth Engine is loaded on first use so that offline commands (validate,
+// dry runs) work without the client library or credentials.
+let eeModule = null;
+function loadEarthEngine() {
+  if (!eeModule) eeModule = require('@google/earthengine');
+  return eeModule;
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 1: TERMINAL STYLING & LOGGING
@@ -54,19 +66,30 @@ const Style = {
 };
 
 class Logger {
-  constructor(logDir = './logs') {
+  constructor(logDir = './logs', prefix = null) {
     this.logDir = logDir;
     this.logFile = null;
     this.startTime = Date.now();
     this.experimentId = null;
+    // Console prefix used to tell interleaved experiments apart in parallel batches
+    this.prefix = prefix;
+  }
+
+  out(message) {
+    if (!this.prefix) {
+      console.error(message);
+      return;
+    }
+    const tag = Style.gray(`[${this.prefix}]`);
+    console.error(String(message).split('\n').map(line => line ? `${tag} ${line}` : line).join('\n'));
   }
 
-  initLogFile(experimentName) {
+  initLogFile(experimentName, experimentId = null) {
     if (!fs.existsSync(this.logDir)) {
       fs.mkdirSync(this.logDir, { recursive: true });
     }
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    this.experimentId = `${experimentName}_${timestamp}`;
+    this.experimentId = experimentId || `${experimentName}_${timestamp}`;
     this.logFile = path.join(this.logDir, `${this.experimentId}.log`);
     this.writeToFile(`\n${'═'.repeat(80)}\n`);
     this.writeToFile(`BULC-D Headless Lab Runner - Experiment Log\n`);
@@ -95,7 +118,7 @@ class Logger {
       case 'gee':     styledMessage = Style.cyan('[GEE]') + ' ' + message; break;
       default:        styledMessage = message;
     }
-    console.error(styledMessage, ...args);
+    this.out(util.format(styledMessage, ...args));
   }
 
   success(message, ...args) { this.log('success', message, ...args); }
@@ -114,26 +137,26 @@ class Logger {
 
   banner(text) {
     const line = '═'.repeat(text.length + 4);
-    console.error('\n' + Style.magenta(line));
-    console.error(Style.magenta('║ ') + Style.bold(Style.white(text)) + Style.magenta(' ║'));
-    console.error(Style.magenta(line) + '\n');
+    this.out('\n' + Style.magenta(line));
+    this.out(Style.magenta('║ ') + Style.bold(Style.white(text)) + Style.magenta(' ║'));
+    this.out(Style.magenta(line) + '\n');
     this.writeToFile(`\n${line}\n║ ${text} ║\n${line}\n\n`);
   }
 
   section(text) {
-    console.error('\n' + Style.blue('─'.repeat(60)));
-    console.error(Style.blue('► ') + Style.bold(text));
-    console.error(Style.blue('─'.repeat(60)));
+    this.out('\n' + Style.blue('─'.repeat(60)));
+    this.out(Style.blue('► ') + Style.bold(text));
+    this.out(Style.blue('─'.repeat(60)));
     this.writeToFile(`\n${'─'.repeat(60)}\n► ${text}\n${'─'.repeat(60)}\n`);
   }
 
   table(data, title) {
-    if (title) console.error('\n' + Style.bold(title));
+    if (title) this.out('\n' + Style.bold(title));
     const maxKeyLen = Math.max(...Object.keys(data).map(k => k.length));
     Object.entries(data).forEach(([key, value]) => {
       const paddedKey = key.padEnd(maxKeyLen);
       const displayValue = typeof value === 'object' ? JSON.stringify(value) : value;
-      console.error(`  ${Style.gray(paddedKey)} : ${Style.cyan(displayValue)}`);
+      this.out(`  ${Style.gray(paddedKey)} : ${Style.cyan(displayValue)}`);
     });
   }
 }
@@ -149,6 +172,10 @@ ${Style.bold(Style.magenta('BULC-D Headless Lab Runner v11.0'))}
 
 ${Style.bold('Usage:')}
   node runner11.js <caller.js> <modules_dir> <sidecar.json> [options]
+  node runner11.js validate <sidecar.json|dir>...
+  node runner11.js show <sidecar.json> [--set path=value ...]
+  node runner11.js list-sweep <sweep.json>
+  node runner11.js list-tiles <tiling.json>
 
 ${Style.bold('Arguments:')}
   ${Style.cyan('caller.js')}      Path to the GEE Caller script to execute
@@ -157,12 +184,48 @@ ${Style.bold('Arguments:')}
 
 ${Style.bold('Options:')}
   ${Style.yellow('--dry-run')}      Validate without executing (no GEE calls)
+  ${Style.yellow('--dry-run=deep')} Also execute the caller and every required module offline against a
+                 recording ee stub; reports unresolved modules, load errors and planned exports
+  ${Style.yellow('--offline')}      Test mode: run against the offline ee recorder and write the export
+                 expression graph to <run dir>/graph.json (no credentials needed)
+  ${Style.yellow('--golden=F')}     With --offline: compare the graph to golden file F (written if missing)
+  ${Style.yellow('--update-golden')} With --golden: overwrite F with the current graph
+  ${Style.yellow('--module-map=F')} Resolve requires through F (default: module-map.json in or next to modules_dir)
+  ${Style.yellow('--heuristic-resolve')} For requires missing from the module map, fall back to
+                 <modules_dir>/<repo>/<path>.js (ignores the username)
+  ${Style.yellow('--overrides=D')}  Local patch directory checked before modules_dir, laid out as
+                 D/users/<user>/<repo>/<path>.js (default: overrides/ next to modules_dir)
+  ${Style.yellow('--layers')}       Write the caller's Map.addLayer layers (name, vis params, shown, opacity and
+                 serialized ee object) to <run dir>/layers.json
+  ${Style.yellow('--layers=A')}     Also act on each layer; A is a comma list of:
+                   export  start an asset export per image layer (see --layers-asset-root)
+                   thumbs  fetch a thumbnail URL and map ID per layer (skipped offline/dry run)
+  ${Style.yellow('--layers-asset-root=P')} Asset folder for layer exports (default: folder of the caller's
+                 first asset export)
+  ${Style.yellow('--evaluate-prints')} Capture print() calls from the caller and every module, getInfo() the
+                 ee objects they print and write them to <run dir>/prints.jsonl
+  ${Style.yellow('--charts')}       Evaluate ui.Chart image.series/doySeries/histogram and feature.byFeature
+                 charts and write each as CSV, JSON and SVG to <run dir>/charts/
   ${Style.yellow('--verbose')}      Enable verbose output
   ${Style.yellow('--quiet')}        Suppress GEE print() output (recommended)
   ${Style.yellow('--silent')}       Suppress all non-error output
   ${Style.yellow('--no-log')}       Disable file logging
+  ${Style.yellow('--output-dir=D')} Where per-run output folders (manifest.json, ...) go (default: ./runs)
   ${Style.yellow('--batch')}        Enable batch mode (sidecar.json is a directory)
+  ${Style.yellow('--set P=V')}      Override a sidecar value after "extends" is resolved (repeatable)
+  ${Style.yellow('--sweep')}        sidecar.json is a sweep spec; expand it and run the variants as a batch
+  ${Style.yellow('--tiles')}        sidecar.json is a tiling spec; run the caller once per tile of the study area
+                 as a batch, then export the mosaic if the spec names one (needs --wait)
   ${Style.yellow('--parallel=N')}   Run N experiments in parallel (batch mode)
+  ${Style.yellow('--asset-policy=P')} When an export's asset already exists: fail (default), skip, overwrite,
+                 suffix-timestamp or suffix-experiment (overrides exportParameters.overwritePolicy)
+  ${Style.yellow('--no-asset-tags')} Do not set bulcd_* provenance properties on exported images
+  ${Style.yellow('--resume')}       Batch mode: continue an interrupted batch from its state file - skip
+                 experiments that succeeded, reattach to exports that were already submitted
+                 (ignored with --dry-run and --offline)
+  ${Style.yellow('--state-file=F')} Batch state file (default: <output-dir>/batches/<dir name>-<path hash>.state.json)
+  ${Style.yellow('--wait')}         Wait for submitted export tasks to finish; exit code reflects task states
+  ${Style.yellow('--wait-timeout=M')} Give up waiting after M minutes (with --wait)
   ${Style.yellow('--help')}         Show this help message
 
 ${Style.bold('Examples:')}
@@ -172,42 +235,141 @@ ${Style.bold('Examples:')}
   ${Style.dim('# Dry run (validation only)')}
   node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json --dry-run
 
+  ${Style.dim('# Deep dry run (load the full module graph offline)')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json --dry-run=deep
+
   ${Style.dim('# Batch execution')}
   node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/ --batch
 
+  ${Style.dim('# Override a value, and print the effective (merged) sidecar')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json --set analysisParameters.changeThreshold=0.6
+  node runner11.js show experiments/test.json --set analysisParameters.changeThreshold=0.6
+
+  ${Style.dim('# Preview, then run, a parameter sweep')}
+  node runner11.js list-sweep experiments/sweeps/threshold.json
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/sweeps/threshold.json --sweep --parallel=4
+
+  ${Style.dim('# Split a large study area into tiles and mosaic the results')}
+  node runner11.js list-tiles experiments/tiles/bc.json
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/tiles/bc.json --tiles --parallel=4 --wait
+
+  ${Style.dim('# Schema-check sidecars only (no Earth Engine needed)')}
+  node runner11.js validate experiments/
+
 ${Style.bold('Environment:')}
   ${Style.cyan('GEE_KEY_PATH')}   Path to service account key (default: ./service-account-key.json)
 `;
 
+// --dry-run=<level>: 'validate' checks the sidecar only, 'deep' also executes offline
+const DRY_RUN_LEVELS = ['validate', 'deep'];
+
 function parseArgs() {
   const args = process.argv.slice(2);
   const config = {
+    command: 'run',
+    validateTargets: [],
     userScript: null,
     moduleRoot: null,
     sidecarJson: null,
     dryRun: false,
+    dryRunLevel: 'validate', // 'validate' (sidecar only) or 'deep' (execute offline)
     verbose: false,
     silent: false,
     noLog: false,
+    outputDir: './runs',
     batch: false,
+    sweep: false,
+    tiles: false,
     parallel: 1,
+    wait: false,
+    waitTimeout: null,
+    offline: false,
+    moduleMap: null,
+    heuristicResolve: false,
+    overridesDir: null,
+    layers: false,
+    layerActions: [],     // With --layers: 'export' and/or 'thumbs'
+    layersAssetRoot: null,
+    evaluatePrints: false,
+    charts: false,
+    golden: null,
+    updateGolden: false,
+    set: [],              // "path=value" overrides applied to every sidecar
+    resume: false,
+    assetPolicy: null,    // Overrides exportParameters.overwritePolicy
+    tagExports: true,     // Set provenance properties on exported images
+    stateFile: null,      // Batch state file (default: <output-dir>/batches/<dir>-<path hash>.state.json)
     help: false
   };
 
   const positional = [];
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--help' || arg === '-h') config.help = true;
     else if (arg === '--dry-run') config.dryRun = true;
+    else if (arg.startsWith('--dry-run=')) {
+      config.dryRun = true;
+      config.dryRunLevel = arg.slice('--dry-run='.length);
+    }
     else if (arg === '--verbose' || arg === '-v') config.verbose = true;
     else if (arg === '--quiet' || arg === '-q') config.quiet = true;
     else if (arg === '--silent' || arg === '-s') config.silent = true;
     else if (arg === '--no-log') config.noLog = true;
+    else if (arg.startsWith('--output-dir=')) config.outputDir = arg.slice('--output-dir='.length);
     else if (arg === '--batch') config.batch = true;
+    else if (arg === '--sweep') config.sweep = true;
+    else if (arg === '--tiles') config.tiles = true;
     else if (arg.startsWith('--parallel=')) config.parallel = parseInt(arg.split('=')[1], 10) || 1;
+    else if (arg === '--wait') config.wait = true;
+    else if (arg === '--resume') config.resume = true;
+    else if (arg === '--no-asset-tags') config.tagExports = false;
+    else if (arg.startsWith('--asset-policy=')) config.assetPolicy = arg.slice('--asset-policy='.length);
+    else if (arg.startsWith('--state-file=')) config.stateFile = arg.slice('--state-file='.length);
+    else if (arg === '--offline') config.offline = true;
+    else if (arg.startsWith('--module-map=')) config.moduleMap = arg.slice('--module-map='.length);
+    else if (arg === '--heuristic-resolve') config.heuristicResolve = true;
+    else if (arg.startsWith('--overrides=')) config.overridesDir = arg.slice('--overrides='.length);
+    else if (arg === '--layers') config.layers = true;
+    else if (arg.startsWith('--layers=')) {
+      config.layers = true;
+      config.layerActions = arg.slice('--layers='.length).split(',').map(a => a.trim()).filter(Boolean);
+    }
+    else if (arg.startsWith('--layers-asset-root=')) config.layersAssetRoot = arg.slice('--layers-asset-root='.length);
+    else if (arg === '--evaluate-prints') config.evaluatePrints = true;
+    else if (arg === '--charts') config.charts = true;
+    else if (arg.startsWith('--golden=')) config.golden = arg.slice('--golden='.length);
+    else if (arg === '--update-golden') config.updateGolden = true;
+    else if (arg.startsWith('--wait-timeout=')) config.waitTimeout = parseFloat(arg.split('=')[1]) || null;
+    else if (arg === '--set') config.set.push(args[++i] || '');
+    else if (arg.startsWith('--set=')) config.set.push(arg.slice('--set='.length));
     else positional.push(arg);
   }
 
+  if (positional[0] === 'validate') {
+    config.command = 'validate';
+    config.validateTargets = positional.slice(1);
+    return config;
+  }
+
+  if (positional[0] === 'show') {
+    config.command = 'show';
+    config.sidecarJson = positional[1] || null;
+    return config;
+  }
+
+  if (positional[0] === 'list-sweep') {
+    config.command = 'list-sweep';
+    config.sidecarJson = positional[1] || null;
+    return config;
+  }
+
+  if (positional[0] === 'list-tiles') {
+    config.command = 'list-tiles';
+    config.sidecarJson = positional[1] || null;
+    return config;
+  }
+
   if (positional.length >= 1) config.userScript = positional[0];
   if (positional.length >= 2) config.moduleRoot = positional[1];
   if (positional.length >= 3) config.sidecarJson = positional[2];
@@ -217,139 +379,520 @@ function parseArgs() {
 
 const config = parseArgs();
 
-if (config.help) {
-  console.error(HELP_TEXT);
-  process.exit(0);
-}
-
-if (!config.userScript || !config.moduleRoot || !config.sidecarJson) {
-  console.error(Style.error('Missing required arguments.\n'));
-  console.error(HELP_TEXT);
-  process.exit(1);
-}
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 3: PARAMETER VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const REQUIRED_KEYS = {
-  inputParameters: [
-    'whichReduction',
-    'bandName_reduction',
-    'bandNameToFit',
-    'binCuts',
-    'modalityDictionary'
-  ],
-  analysisParameters: [
-    'changeThreshold',
-    'dropThresholdToDenoteChange',
-    'gainThresholdToDenoteChange'
-  ],
-  advancedParameters: [
-    'initializationApproach',
-    'transitionCreationMethod'
-  ]
-};
+const SIDECAR_SCHEMA_VERSION = 1;
+const SIDECAR_SCHEMA = require(path.join(__dirname, 'schemas', `bulcd-sidecar.v${SIDECAR_SCHEMA_VERSION}.schema.json`));
 
-const MODALITY_KEYS = ['bimodal', 'constant', 'linear', 'trimodal', 'unimodal'];
+const MODALITY_KEYS = Object.keys(SIDECAR_SCHEMA.definitions.modalityDictionary.properties);
+const SENSOR_DICTIONARIES = ['L5dictionary', 'L7dictionary', 'L8dictionary', 'L9dictionary', 'MOdictionary', 'S2dictionary', 'S1dictionary'];
 
-function validateSidecar(data, filePath) {
-  const errors = [];
-  const warnings = [];
+// JSON pointer (RFC 6901) for a path of keys/indices
+function jsonPointer(segments) {
+  if (segments.length === 0) return '/';
+  return segments.map(s => '/' + String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
 
-  // Check top-level structure
-  for (const section of ['inputParameters', 'analysisParameters', 'advancedParameters']) {
-    if (!data[section]) {
-      errors.push(`Missing required section: ${section}`);
-      continue;
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Minimal JSON Schema (draft-07 subset) validator - just the keywords the
+ * sidecar schema uses: $ref (local), type, enum, required, properties,
+ * additionalProperties, items, min/maxItems, minimum, maximum,
+ * exclusiveMinimum, minLength, maxLength and pattern.
+ * Errors are reported as "<json pointer>: <message>".
+ */
+function validateAgainstSchema(value, schema, rootSchema, segments = [], errors = []) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], rootSchema);
+    if (!target) throw new Error(`Unresolvable $ref in sidecar schema: ${schema.$ref}`);
+    return validateAgainstSchema(value, target, rootSchema, segments, errors);
+  }
+
+  const at = jsonPointer(segments);
+  const actual = jsonType(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = allowed.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) {
+      errors.push(`${at}: must be ${allowed.join(' or ')} (got ${actual})`);
+      return errors;
     }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
 
-    // Check required keys in each section
-    for (const key of REQUIRED_KEYS[section]) {
-      if (data[section][key] === undefined) {
-        errors.push(`Missing key in ${section}: ${key}`);
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${jsonPointer([...segments, key])}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        validateAgainstSchema(child, schema.properties[key], rootSchema, [...segments, key], errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${jsonPointer([...segments, key])}: unknown key (allowed: ${Object.keys(schema.properties || {}).join(', ')})`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(child, schema.additionalProperties, rootSchema, [...segments, key], errors);
       }
     }
   }
 
-  // Validate inputParameters specifics
-  if (data.inputParameters) {
-    const ip = data.inputParameters;
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item(s) (got ${value.length})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} item(s) (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateAgainstSchema(item, schema.items, rootSchema, [...segments, i], errors));
+    }
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be <= ${schema.maximum} (got ${value})`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at}: must be > ${schema.exclusiveMinimum} (got ${value})`);
+    }
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must not be shorter than ${schema.minLength} character(s)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at}: must not be longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: must match pattern ${schema.pattern} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a polygon ring: enough distinct vertices, all within lon/lat range.
+ */
+function checkPolygonRing(ring, pointer, errors) {
+  if (!Array.isArray(ring)) return;
+  ring.forEach((pos, i) => {
+    if (!Array.isArray(pos) || !Number.isFinite(pos[0]) || !Number.isFinite(pos[1])) return;
+    if (pos[0] < -180 || pos[0] > 180 || pos[1] < -90 || pos[1] > 90) {
+      errors.push(`${pointer}/${i}: [${pos[0]}, ${pos[1]}] is outside lon [-180, 180] / lat [-90, 90]`);
+    }
+  });
+  const distinct = new Set(ring.filter(Array.isArray).map(pos => `${pos[0]},${pos[1]}`));
+  if (distinct.size < 3) {
+    errors.push(`${pointer}: ring needs at least 3 distinct vertices (got ${distinct.size})`);
+  }
+}
+
+// Destination-specific fields of exportParameters.destinations[] entries; the
+// common ones (type, description, scale, maxPixels, crs, crsTransform) apply to all
+const DESTINATION_FIELDS = {
+  asset: ['assetId', 'pyramidingPolicy'],
+  drive: ['folder', 'fileNamePrefix', 'fileFormat', 'cloudOptimized'],
+  gcs: ['bucket', 'prefix', 'fileNamePrefix', 'fileFormat', 'cloudOptimized']
+};
+const PYRAMIDING_POLICIES = ['MEAN', 'SAMPLE', 'MIN', 'MAX', 'MODE'];
+
+function checkExportDestinations(ep, errors) {
+  const checkGeometry = (holder, at) => {
+    if (holder.crsTransform !== undefined && holder.scale !== undefined) {
+      errors.push(`${at}: scale and crsTransform cannot be used together`);
+    }
+  };
+  checkGeometry(ep, '/exportParameters');
+
+  if (!Array.isArray(ep.destinations)) return;
+  const allFields = new Set(Object.values(DESTINATION_FIELDS).flat());
+  ep.destinations.forEach((dest, i) => {
+    const at = `/exportParameters/destinations/${i}`;
+    if (!dest || typeof dest !== 'object' || !DESTINATION_FIELDS[dest.type]) return;  // Reported by the schema
+    for (const field of Object.keys(dest)) {
+      if (allFields.has(field) && !DESTINATION_FIELDS[dest.type].includes(field)) {
+        errors.push(`${at}/${field}: not used by "${dest.type}" destinations`);
+      }
+    }
+    checkGeometry(dest, at);
+    if (dest.type === 'gcs' && !dest.bucket) {
+      errors.push(`${at}/bucket: is required for "gcs" destinations`);
+    }
+    if (dest.cloudOptimized && dest.fileFormat === 'TFRecord') {
+      errors.push(`${at}/cloudOptimized: only applies to GeoTIFF exports`);
+    }
+    const policy = dest.pyramidingPolicy;
+    const policies = typeof policy === 'string' ? [policy] : policy && typeof policy === 'object' ? Object.values(policy) : [];
+    policies.filter(p => !PYRAMIDING_POLICIES.includes(p)).forEach(p =>
+      errors.push(`${at}/pyramidingPolicy: ${JSON.stringify(p)} is not one of ${PYRAMIDING_POLICIES.join(', ')}`));
+  });
+
+  if (ep.destinations.filter(d => d && d.type === 'asset' && !d.assetId).length > 1) {
+    errors.push('/exportParameters/destinations: only one asset destination may omit assetId');
+  }
+}
 
-    // Validate binCuts
-    if (ip.binCuts && !Array.isArray(ip.binCuts)) {
-      errors.push('inputParameters.binCuts must be an array');
+/**
+ * Cross-field rules the schema can't express.
+ */
+function checkSidecarSemantics(data, errors, warnings) {
+  const ip = data.inputParameters;
+  if (ip && typeof ip === 'object') {
+    // binCuts must be strictly increasing
+    if (Array.isArray(ip.binCuts) && ip.binCuts.some((v, i) => i > 0 && !(v > ip.binCuts[i - 1]))) {
+      errors.push('/inputParameters/binCuts: values must be strictly increasing');
     }
 
-    // Validate modalityDictionary
-    if (ip.modalityDictionary) {
-      for (const key of MODALITY_KEYS) {
-        if (ip.modalityDictionary[key] === undefined) {
-          warnings.push(`modalityDictionary missing key: ${key}`);
+    // firstDOY <= lastDOY for every sensor dictionary, top-level and nested
+    const holders = [
+      [['inputParameters'], ip],
+      [['inputParameters', 'expectationCollectionParameters'], ip.expectationCollectionParameters],
+      [['inputParameters', 'targetCollectionParameters'], ip.targetCollectionParameters]
+    ];
+    for (const [segments, holder] of holders) {
+      if (!holder || typeof holder !== 'object') continue;
+      for (const sensor of SENSOR_DICTIONARIES) {
+        const dict = holder[sensor];
+        if (dict && Number.isFinite(dict.firstDOY) && Number.isFinite(dict.lastDOY) && dict.firstDOY > dict.lastDOY) {
+          errors.push(`${jsonPointer([...segments, sensor])}: firstDOY (${dict.firstDOY}) must be <= lastDOY (${dict.lastDOY})`);
         }
       }
+    }
 
-      // At least one modality should be true
-      const hasModality = MODALITY_KEYS.some(k => ip.modalityDictionary[k] === true);
-      if (!hasModality) {
-        warnings.push('No modality is set to true in modalityDictionary');
+    // Study area rings, then the polygon as a whole, closed the way
+    // ee.Geometry.Polygon closes it. The rings are passed on unchanged, so
+    // winding is not reported.
+    const coordinates = ip.defaultStudyAreaCoordinates;
+    if (Array.isArray(coordinates)) {
+      const at = '/inputParameters/defaultStudyAreaCoordinates';
+      const before = errors.length;
+      coordinates.forEach((ring, i) => checkPolygonRing(ring, `${at}/${i}`, errors));
+      const wellFormed = coordinates.length > 0 && coordinates.every(ring =>
+        Array.isArray(ring) && ring.length > 0 && ring.every(pos => Array.isArray(pos) && pos.every(Number.isFinite)));
+      if (errors.length === before && wellFormed) {
+        checkPolygons(closePolygons([coordinates])).errors.forEach(e => errors.push(`${at}: ${e}`));
       }
     }
 
-    // Validate sensor dictionaries
-    const sensors = ['L5dictionary', 'L7dictionary', 'L8dictionary', 'S2dictionary', 'S1dictionary'];
-    for (const sensor of sensors) {
-      if (ip[sensor]) {
-        if (!ip[sensor].yearsList || !Array.isArray(ip[sensor].yearsList)) {
-          warnings.push(`${sensor}.yearsList should be an array`);
-        }
-        if (ip[sensor].firstDOY === undefined) {
-          warnings.push(`${sensor}.firstDOY not specified`);
-        }
-        if (ip[sensor].lastDOY === undefined) {
-          warnings.push(`${sensor}.lastDOY not specified`);
+    // Study area source: GeoJSON, bbox and WKT geometries are loaded and checked here
+    if (ip.defaultStudyArea !== undefined) {
+      const at = '/inputParameters/defaultStudyArea';
+      if (ip.defaultStudyAreaCoordinates !== undefined) {
+        errors.push(`${at}: set either defaultStudyArea or defaultStudyAreaCoordinates, not both`);
+      }
+      if (!errors.some(e => e.startsWith(`${at}:`) || e.startsWith(`${at}/`))) {
+        try {
+          const studyArea = resolveStudyArea(ip.defaultStudyArea);
+          studyArea.errors.forEach(e => errors.push(`${at}: ${e}`));
+          studyArea.warnings.forEach(w => warnings.push(`${at}: ${w}`));
+        } catch (e) {
+          errors.push(`${at}: ${e.message}`);
         }
       }
     }
-  }
 
-  // Validate analysisParameters ranges
-  if (data.analysisParameters) {
-    const ap = data.analysisParameters;
+    // At least one modality should be true
+    if (ip.modalityDictionary && typeof ip.modalityDictionary === 'object' &&
+        !MODALITY_KEYS.some(k => ip.modalityDictionary[k] === true)) {
+      warnings.push('/inputParameters/modalityDictionary: no modality is set to true');
+    }
+  }
 
-    if (ap.changeThreshold !== undefined && (ap.changeThreshold < 0 || ap.changeThreshold > 1)) {
-      warnings.push(`changeThreshold (${ap.changeThreshold}) is outside typical range [0, 1]`);
+  const ap = data.analysisParameters;
+  if (ap && typeof ap === 'object') {
+    if (typeof ap.changeThreshold === 'number' && (ap.changeThreshold < 0 || ap.changeThreshold > 1)) {
+      warnings.push(`/analysisParameters/changeThreshold: ${ap.changeThreshold} is outside typical range [0, 1]`);
     }
 
-    if (ap.dropThresholdToDenoteChange !== undefined &&
-        ap.gainThresholdToDenoteChange !== undefined &&
+    if (typeof ap.dropThresholdToDenoteChange === 'number' &&
+        typeof ap.gainThresholdToDenoteChange === 'number' &&
         ap.dropThresholdToDenoteChange < ap.gainThresholdToDenoteChange) {
-      warnings.push('dropThreshold < gainThreshold - this may produce unexpected results');
+      warnings.push('/analysisParameters: dropThreshold < gainThreshold - this may produce unexpected results');
     }
   }
 
+  const ep = data.exportParameters;
+  if (ep && typeof ep === 'object') {
+    checkExportDestinations(ep, errors);
+  }
+}
+
+/**
+ * Validates a sidecar against the versioned BULC-D sidecar schema plus the
+ * cross-field rules in checkSidecarSemantics(). Does not need Earth Engine.
+ */
+function validateSidecar(data, filePath) {
+  const errors = [];
+  const warnings = [];
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('/: sidecar must be a JSON object');
+    return { errors, warnings, isValid: false };
+  }
+
+  if (data.schemaVersion !== undefined && data.schemaVersion !== SIDECAR_SCHEMA_VERSION) {
+    errors.push(`/schemaVersion: unsupported schema version ${JSON.stringify(data.schemaVersion)} (this runner supports ${SIDECAR_SCHEMA_VERSION})`);
+    return { errors, warnings, isValid: false };
+  }
+
+  validateAgainstSchema(data, SIDECAR_SCHEMA, SIDECAR_SCHEMA, [], errors);
+  checkSidecarSemantics(data, errors, warnings);
+
   return { errors, warnings, isValid: errors.length === 0 };
 }
 
+/**
+ * `validate` subcommand: schema-checks sidecar files (or directories of them)
+ * without loading Earth Engine. Each file is validated as its effective
+ * sidecar ("extends" resolved, --set applied). Returns true when every file is valid.
+ */
+function runValidateCommand(targets) {
+  const files = [];
+  for (const target of targets) {
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).filter(f => f.endsWith('.json')).sort()
+        .forEach(f => files.push(path.join(target, f)));
+    } else {
+      files.push(target);
+    }
+  }
+
+  if (files.length === 0) {
+    logger.error('No sidecar files to validate');
+    return false;
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    let data;
+    try {
+      data = loadSidecar(file, config.set).data;
+    } catch (e) {
+      logger.error(`${file}: ${e.message}`);
+      failed++;
+      continue;
+    }
+
+    const { errors, warnings } = validateSidecar(data, file);
+    if (errors.length > 0) {
+      failed++;
+      logger.error(`${file}: ${errors.length} error(s)`);
+      errors.forEach(e => logger.error(`  • ${e}`));
+    } else {
+      logger.success(`${file}: valid (schema v${SIDECAR_SCHEMA_VERSION})`);
+    }
+    warnings.forEach(w => logger.warning(`  • ${w}`));
+  }
+
+  if (files.length > 1) {
+    logger.info(`Validated ${files.length} file(s): ${Style.green(`${files.length - failed} valid`)}, ${Style.red(`${failed} invalid`)}`);
+  }
+  return failed === 0;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 4: MODULE RESOLVER
+// SECTION 4: SIDECAR LOADING (extends + --set overrides)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const moduleCache = new Map();
+/**
+ * Splits a parameter path such as "inputParameters.binCuts[2]" or
+ * "analysisParameters.changeThreshold" into keys and array indices.
+ */
+function parseParamPath(paramPath) {
+  const segments = [];
+  for (const part of paramPath.split('.')) {
+    const match = part.match(/^([^[\]]*)((?:\[\d+\])*)$/);
+    if (!match || (!match[1] && !match[2])) {
+      throw new Error(`Invalid parameter path: "${paramPath}"`);
+    }
+    if (match[1]) segments.push(match[1]);
+    for (const index of match[2].match(/\d+/g) || []) segments.push(Number(index));
+  }
+  return segments;
+}
+
+/**
+ * Sets `value` at `paramPath` inside `target`. The parent object must already
+ * exist, which catches most typos in override paths.
+ * Returns true if the leaf key already existed.
+ */
+function setParamPath(target, paramPath, value) {
+  const segments = parseParamPath(paramPath);
+  let node = target;
+  for (const segment of segments.slice(0, -1)) {
+    if (node === null || typeof node !== 'object' || node[segment] === undefined) {
+      throw new Error(`Parameter path "${paramPath}" does not exist (stopped at "${segment}")`);
+    }
+    node = node[segment];
+  }
+  const leaf = segments[segments.length - 1];
+  if (node === null || typeof node !== 'object') {
+    throw new Error(`Parameter path "${paramPath}" does not point into an object or array`);
+  }
+  const existed = node[leaf] !== undefined;
+  node[leaf] = value;
+  return existed;
+}
+
+/**
+ * Deep merge for sidecar inheritance: plain objects merge key by key,
+ * anything else (arrays, numbers, strings, null) in `overlay` replaces `base`.
+ */
+function deepMerge(base, overlay) {
+  const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isPlainObject(base) || !isPlainObject(overlay)) return overlay;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    merged[key] = key in base ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Reads a sidecar and resolves its `extends` chain. `extends` is a path (or
+ * list of paths, applied in order) relative to the sidecar's own directory;
+ * the sidecar's own keys are merged on top of its bases.
+ *
+ * @returns {{data: Object, sources: string[]}} Effective sidecar, and every file that went into it (bases first)
+ */
+function resolveSidecarFile(sidecarPath, chain = []) {
+  const absPath = path.resolve(sidecarPath);
+  if (chain.includes(absPath)) {
+    throw new Error(`Circular "extends": ${[...chain, absPath].map(p => path.basename(p)).join(' → ')}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+  } catch (e) {
+    const from = chain.length > 0 ? ` (extended from ${path.basename(chain[chain.length - 1])})` : '';
+    throw new Error(`${path.relative(process.cwd(), absPath)}${from}: ${e.message}`);
+  }
+
+  const parents = data.extends === undefined ? [] : [].concat(data.extends);
+  delete data.extends;
+
+  // A GeoJSON study area file is relative to the sidecar that names it
+  if (data.inputParameters && data.inputParameters.defaultStudyArea !== undefined) {
+    data.inputParameters.defaultStudyArea = resolveStudyAreaPath(data.inputParameters.defaultStudyArea, path.dirname(absPath));
+  }
+
+  let merged = {};
+  const sources = [];
+  for (const parent of parents) {
+    if (typeof parent !== 'string') {
+      throw new Error(`${path.basename(absPath)}: "extends" must be a path or a list of paths`);
+    }
+    const resolved = resolveSidecarFile(path.resolve(path.dirname(absPath), parent), [...chain, absPath]);
+    merged = deepMerge(merged, resolved.data);
+    resolved.sources.forEach(src => { if (!sources.includes(src)) sources.push(src); });
+  }
+
+  sources.push(absPath);
+  return { data: deepMerge(merged, data), sources };
+}
+
+/**
+ * Parses a --set value: JSON when it parses (numbers, booleans, arrays,
+ * objects, quoted strings), otherwise the raw string.
+ */
+function parseOverrideValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+/**
+ * Loads the effective sidecar: the `extends` chain deep-merged, then each
+ * "path=value" override from --set applied in order. This is the object that
+ * gets validated and injected into the caller.
+ */
+function loadSidecar(sidecarPath, overrides = []) {
+  const { data, sources } = resolveSidecarFile(sidecarPath);
+
+  const applied = [];
+  for (const override of overrides) {
+    const eq = override.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`--set expects path=value (got "${override}")`);
+    }
+    const paramPath = override.slice(0, eq).trim();
+    const value = parseOverrideValue(override.slice(eq + 1));
+    setParamPath(data, paramPath, value);
+    applied.push({ path: paramPath, value });
+  }
+
+  return { data, sources, overrides: applied };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 5: MODULE RESOLVER
+// ═══════════════════════════════════════════════════════════════════════════════
 
-// Shared shims for print, Map, and ui - used by both main sandbox and modules
-function createSharedShims() {
-  // print shim - silent no-op (can be overridden in main sandbox for verbose mode)
-  const print = (...args) => {
-    // No-op by default in modules, main sandbox overrides for logging
+// Shared shims for print, Map, and ui - used by both main sandbox and modules.
+// Map.addLayer and ui.Chart calls (from the caller or any module) are appended
+// to sinks.layers and sinks.charts; with sinks.prints set, print() calls are too.
+function createSharedShims(ee, sinks = {}) {
+  const layers = sinks.layers || [];
+  const charts = sinks.charts || [];
+  const prints = sinks.prints || null;
+
+  // print() as seen by `source` (a module's GEE path or the caller's name)
+  const printFrom = (source) => (...args) => {
+    if (prints) prints.push({ seq: prints.length + 1, source, args });
   };
 
+  // print shim - silent by default (the main sandbox also logs to the console)
+  const print = printFrom(null);
+
   // Comprehensive Map shim
   const Map = {
-    addLayer: () => {},
+    // Same argument defaults as the Code Editor: unnamed layers are "Layer N",
+    // shown defaults to true and opacity to 1
+    addLayer: (eeObject, visParams, name, shown, opacity) => {
+      const layer = {
+        index: layers.length,
+        name: name !== undefined && name !== null ? String(name) : `Layer ${layers.length + 1}`,
+        visParams: visParams || {},
+        shown: shown === undefined ? true : !!shown,
+        opacity: opacity === undefined ? 1 : Number(opacity),
+        eeObject
+      };
+      layers.push(layer);
+      return {
+        setShown: (value) => { layer.shown = !!value; },
+        setOpacity: (value) => { layer.opacity = Number(value); },
+        setName: (value) => { layer.name = String(value); },
+        setVisParams: (value) => { layer.visParams = value || {}; },
+        getShown: () => layer.shown,
+        getOpacity: () => layer.opacity,
+        getName: () => layer.name,
+        getVisParams: () => layer.visParams,
+        getEeObject: () => layer.eeObject
+      };
+    },
     remove: () => {},
     layers: () => ({
-      get: () => null, set: () => {}, length: () => 0, reset: () => {},
+      get: () => null, set: () => {}, length: () => layers.length, reset: () => {},
       forEach: () => {}, map: () => [], insert: () => {}, remove: () => {}
     }),
     centerObject: (obj, zoom, onComplete) => { if (onComplete) onComplete(); },
@@ -385,24 +928,42 @@ function createSharedShims() {
     clear: () => {}
   };
 
+  // ui.Chart.* factories record their arguments and options; with --charts the
+  // data table is evaluated and rendered after the run
+  const makeChart = (type) => (...args) => {
+    const chart = { type, args, options: {}, chartType: null, seriesNames: null };
+    charts.push(chart);
+    const handle = {
+      setOptions: (options) => { chart.options = { ...chart.options, ...options }; return handle; },
+      setChartType: (chartType) => { chart.chartType = chartType; return handle; },
+      setSeriesNames: (names) => { chart.seriesNames = names; return handle; },
+      setDownloadable: () => handle,
+      getOptions: () => chart.options,
+      getChartType: () => chart.chartType,
+      style: () => ({ set: () => ({}), get: () => ({}) }),
+      onClick: () => {}
+    };
+    return handle;
+  };
+
   // UI shims
   const ui = {
     Chart: {
       image: {
-        series: () => ({ setOptions: () => ({ setChartType: () => {} }) }),
-        byRegion: () => ({ setOptions: () => ({}) }),
-        doySeries: () => ({ setOptions: () => ({}) }),
-        doySeriesByYear: () => ({ setOptions: () => ({}) }),
-        histogram: () => ({ setOptions: () => ({}) })
+        series: makeChart('image.series'),
+        byRegion: makeChart('image.byRegion'),
+        doySeries: makeChart('image.doySeries'),
+        doySeriesByYear: makeChart('image.doySeriesByYear'),
+        histogram: makeChart('image.histogram')
       },
       feature: {
-        byFeature: () => ({ setOptions: () => ({}) }),
-        byProperty: () => ({ setOptions: () => ({}) }),
-        groups: () => ({ setOptions: () => ({}) }),
-        histogram: () => ({ setOptions: () => ({}) })
+        byFeature: makeChart('feature.byFeature'),
+        byProperty: makeChart('feature.byProperty'),
+        groups: makeChart('feature.groups'),
+        histogram: makeChart('feature.histogram')
       },
       array: {
-        values: () => ({ setOptions: () => ({}) })
+        values: makeChart('array.values')
       }
     },
     Label: (text, style) => ({ style: () => ({ set: () => ({}) }), setValue: () => {} }),
@@ -441,101 +1002,442 @@ function createSharedShims() {
     }
   };
 
-  return { print, Map, ui };
+  return { print, printFrom, Map, ui };
 }
 
-function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
-  const ABS_MOD_ROOT = path.resolve(process.cwd(), moduleRoot);
+// Parsed module maps, by absolute path (a batch loads the same map many times)
+const moduleMapCache = new Map();
 
-  return function geeRequire(importPath) {
-    // Handle native Node.js modules
-    if (!importPath.startsWith('users/')) {
-      return require(importPath);
-    }
+/**
+ * Looks for a setup-gee-repos.js output file inside the modules directory or
+ * next to it (where setup writes it). Returns null if there is none.
+ */
+function findBesideModules(moduleRoot, fileName) {
+  const candidates = [
+    path.join(moduleRoot, fileName),
+    path.join(path.dirname(moduleRoot), fileName)
+  ];
+  return candidates.find(f => fs.existsSync(f)) || null;
+}
 
-    // ═══════════════════════════════════════════════════════════════════════════
-    // PARAMETER INJECTION: Intercept parameter module requests
-    // When the caller requires parameter modules, return the injected JSON instead
-    // This allows the runner to work with unmodified caller scripts
-    // ═══════════════════════════════════════════════════════════════════════════
-    const lowerPath = importPath.toLowerCase();
+/**
+ * Finds the module map for a modules directory: --module-map if given,
+ * otherwise module-map.json found by findBesideModules().
+ */
+function findModuleMap(moduleRoot) {
+  if (config.moduleMap) return path.resolve(config.moduleMap);
+  return findBesideModules(moduleRoot, 'module-map.json');
+}
 
-    // Check for input parameters module
-    if (lowerPath.includes('inputparameters') && sidecarData.inputParameters) {
-      if (config.verbose) logger.info(`Parameter injection: inputParameters ← JSON sidecar`);
-      
-      // Merge exportParameters into inputParameters if present
-      const injectedParams = { ...sidecarData.inputParameters };
-      if (sidecarData.exportParameters) {
-        injectedParams.exportParameters = sidecarData.exportParameters;
-        if (config.verbose) logger.info(`Parameter injection: exportParameters merged into inputParameters`);
-      }
-      
-      return { inputParameters: injectedParams };
-    }
+/**
+ * Reads gee-modules.lock.json, the commit each module repository is pinned
+ * to by setup-gee-repos.js, so the run manifest says which code ran.
+ *
+ * @returns {{file: string, sha256: string, repos: Object<string, string>}|null}
+ */
+function readModuleLock(moduleRoot) {
+  const lockFile = findBesideModules(path.resolve(moduleRoot), 'gee-modules.lock.json');
+  if (!lockFile) return null;
 
-    // Check for analysis parameters module
-    if (lowerPath.includes('analysisparameters') && sidecarData.analysisParameters) {
-      if (config.verbose) logger.info(`Parameter injection: analysisParameters ← JSON sidecar`);
-      return { analysisParameters: sidecarData.analysisParameters };
-    }
+  const file = path.relative(process.cwd(), lockFile);
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    const repos = {};
+    for (const [key, entry] of Object.entries(lock.repos || {})) repos[key] = entry.sha;
+    return { file, sha256: hashFile(lockFile), repos };
+  } catch (err) {
+    return { file, sha256: hashFile(lockFile), repos: {}, error: err.message };
+  }
+}
 
-    // Check for export parameters module
-    if (lowerPath.includes('exportparameters') && sidecarData.exportParameters) {
-      if (config.verbose) logger.info(`Parameter injection: exportParameters ← JSON sidecar`);
-      return { exportParameters: sidecarData.exportParameters };
-    }
+/**
+ * Loads module-map.json ({ modules: { "users/<user>/<repo>:<path>": "<file
+ * relative to modules_dir>" } }) and checks it against the modules directory.
+ * The map is stale when mapped files are gone, when .js files exist that it
+ * doesn't list, or when files changed after it was generated.
+ *
+ * @returns {{file: string, modules: Object<string, string>, usernames: string[], stale: string[]}}
+ */
+function loadModuleMap(mapFile, moduleRoot) {
+  const cacheKey = `${mapFile}|${moduleRoot}`;
+  if (moduleMapCache.has(cacheKey)) return moduleMapCache.get(cacheKey);
 
-    // Note: We do NOT intercept advancedParameters - it's a complex function
-    // that generates BULC configuration. Let it load from the GEE module file.
-    // Only inputParameters and analysisParameters are overridden from JSON.
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read module map ${mapFile}: ${err.message}`);
+  }
+  if (!raw || typeof raw.modules !== 'object') {
+    throw new Error(`Module map ${mapFile} has no "modules" object`);
+  }
 
-    // Check cache first
-    if (moduleCache.has(importPath)) {
-      if (config.verbose) logger.info(`Module cache hit: ${importPath}`);
-      return moduleCache.get(importPath);
+  // Maps may be generated on Windows; always resolve with the local separator
+  const modules = {};
+  for (const [geePath, rel] of Object.entries(raw.modules)) {
+    modules[geePath] = path.join(...String(rel).split(/[\\/]/));
+  }
+
+  const usernames = [...new Set(Object.keys(modules)
+    .map(k => (k.match(/^users\/([^/]+)\//) || [])[1])
+    .filter(Boolean))].sort();
+
+  // Staleness check
+  const stale = [];
+  const mapped = new Set(Object.values(modules));
+  const missing = [...mapped].filter(rel => !fs.existsSync(path.join(moduleRoot, rel)));
+  if (missing.length > 0) {
+    stale.push(`${missing.length} mapped file(s) missing from ${moduleRoot} (e.g. ${missing[0]})`);
+  }
+
+  const generated = Date.parse(raw._generated) || fs.statSync(mapFile).mtimeMs;
+  let unmapped = 0;
+  let newer = 0;
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) { walk(full); continue; }
+      if (!entry.name.endsWith('.js')) continue;
+      if (!mapped.has(path.relative(moduleRoot, full))) unmapped++;
+      if (fs.statSync(full).mtimeMs > generated) newer++;
     }
+  };
+  walk(moduleRoot);
+  if (unmapped > 0) stale.push(`${unmapped} file(s) in ${moduleRoot} are not in the map`);
+  if (newer > 0) stale.push(`${newer} file(s) changed after the map was generated`);
 
-    // Parse GEE-style path: users/username/repo:file
-    const parts = importPath.split(':');
-    const repoPath = parts[0];              // e.g., "users/alemlakes/BULC-D"
-    const internalPath = parts[1] || '';     // e.g., "BULCD-Params" or ""
+  const result = { file: mapFile, modules, usernames, stale };
+  moduleMapCache.set(cacheKey, result);
+  return result;
+}
 
-    // Extract repo name (last segment of the repo path)
-    const repoName = repoPath.split('/').pop();
+/**
+ * Finds where in `file` an error was raised: the first stack frame in that
+ * file, or for syntax errors the "<file>:<line>" header vm puts on the stack.
+ * Returns 1-based { line, column }, or null if the error didn't come from it.
+ */
+function locateError(err, file) {
+  const stack = String((err && err.stack) || '');
+  const escaped = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    // Build local file path
-    let localPath = path.join(ABS_MOD_ROOT, repoName, internalPath);
-    if (!localPath.endsWith('.js')) localPath += '.js';
+  const frame = new RegExp(`${escaped}:(\\d+):(\\d+)`).exec(stack);
+  if (frame) return { line: Number(frame[1]), column: Number(frame[2]) };
 
-    if (!fs.existsSync(localPath)) {
-      const error = new Error(`Module not found: ${localPath}\n  ← Required from GEE path: ${importPath}`);
-      error.code = 'MODULE_NOT_FOUND';
-      throw error;
-    }
+  const header = new RegExp(`^${escaped}:(\\d+)\\n.*\\n( *)\\^`).exec(stack);
+  if (header) return { line: Number(header[1]), column: header[2].length + 1 };
 
-    if (config.verbose) logger.info(`Loading module: ${localPath}`);
+  return null;
+}
 
-    // Create module sandbox with exports AND shared shims (print, Map, ui)
-    const moduleExports = {};
+/**
+ * The innermost stack frame that points into a sandboxed script (the caller
+ * or a GEE module), as { file, line, column, label } with label being the GEE
+ * require path. Syntax errors are located through their "<file>:<line>" header.
+ */
+function topSandboxFrame(err, sandboxFiles) {
+  const stack = String((err && err.stack) || '');
+  // "at fn (<file>:L:C)" or "at <file>:L:C"; the file may contain spaces
+  // (GEE module names often do, e.g. "510.Compare Two Layers.js")
+  const frameRegex = /\((.+):(\d+):(\d+)\)$|^at (.+):(\d+):(\d+)$/;
+  for (const line of stack.split('\n')) {
+    const match = frameRegex.exec(line.trim());
+    if (!match) continue;
+    const [file, row, column] = match[1] !== undefined ? match.slice(1, 4) : match.slice(4, 7);
+    if (sandboxFiles.has(file)) {
+      return { file, line: Number(row), column: Number(column), label: sandboxFiles.get(file) };
+    }
+  }
+  for (const [file, label] of sandboxFiles) {
+    const location = locateError(err, file);
+    if (location) return { file, ...location, label };
+  }
+  return null;
+}
+
+/**
+ * Source lines around file:line with the failing column marked, e.g.
+ *
+ *      12 |   var bands = image.bandNames();
+ *   >  13 |   var first = bands.get(idx);
+ *         |                     ^
+ */
+function codeFrame(file, line, column, around = 2) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '').split(/\r?\n/);
+  } catch (e) {
+    return '';
+  }
+  const first = Math.max(1, line - around);
+  const last = Math.min(source.length, line + around);
+  const width = String(last).length;
+  const out = [];
+  for (let n = first; n <= last; n++) {
+    const text = source[n - 1];
+    const gutter = Style.gray(`${String(n).padStart(width)} |`);
+    out.push(`${n === line ? Style.red('>') : ' '} ${gutter} ${text}`);
+    if (n === line && column) {
+      const pad = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+      out.push(`  ${Style.gray(`${' '.repeat(width)} |`)} ${pad}${Style.red('^')}`);
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Message for an error raised while running the caller: the error, where it
+ * happened in the sandboxed source (file, GEE path, code frame) and the
+ * sandbox frames of its stack. The full stack is added with --verbose.
+ */
+function formatRuntimeError(err, context) {
+  const rel = (file) => path.relative(process.cwd(), file);
+  const lines = [];
+
+  // Module load errors already name the module and carry the require chain
+  let location = err.requireChain ? err.location : topSandboxFrame(err, context.sandboxFiles);
+  if (err.requireChain) {
+    lines.push(err.message);
+  } else {
+    lines.push(`${err.name || 'Error'}: ${err.message}`);
+    if (location) lines.push(`  at ${rel(location.file)}:${location.line}:${location.column} ${Style.gray(`[${location.label}]`)}`);
+  }
+
+  const frame = location ? codeFrame(location.file, location.line, location.column) : '';
+  if (frame) lines.push('', frame, '');
+
+  // Frames only: the message itself may contain "  at ..." lines
+  const fullStack = String(err.stack || '');
+  const messageEnd = fullStack.indexOf(err.message) + String(err.message).length;
+  const stack = fullStack.slice(Math.max(0, messageEnd)).split('\n').filter(l => /^\s+at /.test(l));
+  const sandboxFrames = stack.filter(l => [...context.sandboxFiles.keys()].some(f => l.includes(f)));
+  if (config.verbose && stack.length > 0) {
+    lines.push(...stack);
+  } else if (sandboxFrames.length > 1) {
+    lines.push(...sandboxFrames.map(l => {
+      const file = [...context.sandboxFiles.keys()].find(f => l.includes(f));
+      return `${l.replace(file, rel(file))} ${Style.gray(`[${context.sandboxFiles.get(file)}]`)}`;
+    }));
+  }
+  return lines.join('\n');
+}
+
+function createModuleResolver(moduleRoot, sharedShims, sidecarData, context) {
+  const ABS_MOD_ROOT = path.resolve(process.cwd(), moduleRoot);
+  const { logger, moduleCache } = context;
+
+  // Exact lookups through module-map.json; the repo-name heuristic is only
+  // used when there is no map, or for misses with --heuristic-resolve
+  const mapFile = findModuleMap(ABS_MOD_ROOT);
+  const moduleMap = mapFile ? loadModuleMap(mapFile, ABS_MOD_ROOT) : null;
+  if (moduleMap) {
+    if (config.verbose) {
+      logger.info(`Module map: ${path.relative(process.cwd(), mapFile)} ` +
+        `(${Object.keys(moduleMap.modules).length} modules, users: ${moduleMap.usernames.join(', ')})`);
+    }
+    moduleMap.stale.forEach(reason => logger.warning(`Module map may be stale: ${reason}`));
+    if (moduleMap.stale.length > 0) logger.info('Regenerate it with: node setup-gee-repos.js');
+  } else {
+    logger.warning(`No module-map.json found for ${moduleRoot}; resolving requires by repo name`);
+  }
+
+  // Heuristic: drop the username and look for <modules_dir>/<repo>/<path>.js
+  const heuristicPath = (importPath) => {
+    const [repoPath, internalPath = ''] = importPath.split(':');
+    const repoName = repoPath.split('/').pop();
+    const localPath = path.join(ABS_MOD_ROOT, repoName, internalPath);
+    return localPath.endsWith('.js') ? localPath : localPath + '.js';
+  };
+
+  // Local hot-fixes: overrides/users/<user>/<repo>/<path>.js wins over gee_modules
+  const overridesDir = path.resolve(config.overridesDir || path.join(path.dirname(ABS_MOD_ROOT), 'overrides'));
+  const overridePath = (importPath) => {
+    const localPath = path.join(overridesDir, ...importPath.replace(/\.js$/, '').split(':'));
+    return fs.existsSync(localPath + '.js') ? localPath + '.js' : null;
+  };
+
+  // gee_modules lookup. Returns { localPath, resolvedBy } or { localPath: null, reason }
+  const resolveUpstream = (importPath) => {
+    if (!moduleMap) return { localPath: heuristicPath(importPath), resolvedBy: 'heuristic' };
+
+    const key = importPath.replace(/\.js$/, '');
+    if (Object.prototype.hasOwnProperty.call(moduleMap.modules, key)) {
+      return { localPath: path.join(ABS_MOD_ROOT, moduleMap.modules[key]), resolvedBy: 'module-map' };
+    }
+    if (config.heuristicResolve) {
+      if (config.verbose) logger.info(`Not in module map, trying repo-name lookup: ${importPath}`);
+      return { localPath: heuristicPath(importPath), resolvedBy: 'heuristic' };
+    }
+    return { localPath: null, reason: `Not in module map ${path.relative(process.cwd(), mapFile)}` };
+  };
+
+  const resolvePath = (importPath) => {
+    const override = overridePath(importPath);
+    return override ? { localPath: override, resolvedBy: 'override' } : resolveUpstream(importPath);
+  };
+
+  // Every distinct module the run touches ends up in the run manifest
+  const recordModule = (entry) => {
+    if (!context.modules.some(m => m.path === entry.path)) context.modules.push(entry);
+  };
+
+  // GEE paths currently being loaded, outermost first
+  const requireStack = [];
+  const requireChain = (importPath) => [context.callerName, ...requireStack, importPath];
+
+  // One line per hop, with the local file each GEE path was loaded from
+  const formatChain = (chain) => chain.map((p, i) => {
+    const entry = context.modules.find(m => m.path === p);
+    return `${i === 0 ? '   ' : ' → '}${p}${entry && entry.file ? Style.gray(` (${entry.file})`) : ''}`;
+  }).join('\n    ');
+
+  // Deep dry run: note the problem and hand back a placeholder module so the
+  // rest of the graph still gets loaded and checked
+  const recordProblem = (kind, importPath, localPath, message, location = null) => {
+    context.moduleProblems.push({
+      kind,
+      path: importPath,
+      file: localPath ? path.relative(process.cwd(), localPath) : null,
+      line: location ? location.line : null,
+      column: location ? location.column : null,
+      error: message,
+      chain: requireChain(importPath)
+    });
+    const stub = context.recorder.placeholder(`require('${importPath}')`);
+    moduleCache.set(importPath, stub);
+    return stub;
+  };
+
+  return function geeRequire(importPath) {
+    // Handle native Node.js modules
+    if (!importPath.startsWith('users/')) {
+      return require(importPath);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PARAMETER INJECTION: Intercept parameter module requests
+    // When the caller requires parameter modules, return the injected JSON instead
+    // This allows the runner to work with unmodified caller scripts
+    // ═══════════════════════════════════════════════════════════════════════════
+    const lowerPath = importPath.toLowerCase();
+
+    // Check for input parameters module
+    if (lowerPath.includes('inputparameters') && sidecarData.inputParameters) {
+      if (config.verbose) logger.info(`Parameter injection: inputParameters ← JSON sidecar`);
+      recordModule({ path: importPath, injected: 'inputParameters' });
+      
+      // Merge exportParameters into inputParameters if present
+      const injectedParams = { ...sidecarData.inputParameters };
+      if (sidecarData.exportParameters) {
+        injectedParams.exportParameters = sidecarData.exportParameters;
+        if (config.verbose) logger.info(`Parameter injection: exportParameters merged into inputParameters`);
+      }
+      
+      return { inputParameters: injectedParams };
+    }
+
+    // Check for analysis parameters module
+    if (lowerPath.includes('analysisparameters') && sidecarData.analysisParameters) {
+      if (config.verbose) logger.info(`Parameter injection: analysisParameters ← JSON sidecar`);
+      recordModule({ path: importPath, injected: 'analysisParameters' });
+      return { analysisParameters: sidecarData.analysisParameters };
+    }
+
+    // Check for export parameters module
+    if (lowerPath.includes('exportparameters') && sidecarData.exportParameters) {
+      if (config.verbose) logger.info(`Parameter injection: exportParameters ← JSON sidecar`);
+      recordModule({ path: importPath, injected: 'exportParameters' });
+      return { exportParameters: sidecarData.exportParameters };
+    }
+
+    // Note: We do NOT intercept advancedParameters - it's a complex function
+    // that generates BULC configuration. Let it load from the GEE module file.
+    // Only inputParameters and analysisParameters are overridden from JSON.
+
+    // Circular require: like CommonJS (and the Code Editor), hand back the
+    // exports as far as they are initialized instead of recursing forever
+    if (requireStack.includes(importPath)) {
+      const cycle = [...requireStack.slice(requireStack.indexOf(importPath)), importPath];
+      const key = cycle.join(' → ');
+      if (!context.moduleCycles.some(c => c.join(' → ') === key)) {
+        context.moduleCycles.push(cycle);
+        const partial = moduleCache.get(importPath) || {};
+        logger.warning(`Circular require: ${key}`);
+        logger.info(`  ${importPath} is only partially initialized here ` +
+          `(${Object.keys(partial).length} export(s) defined so far)`);
+      }
+      return moduleCache.get(importPath);
+    }
+
+    // Check cache first
+    if (moduleCache.has(importPath)) {
+      if (config.verbose) logger.info(`Module cache hit: ${importPath}`);
+      return moduleCache.get(importPath);
+    }
+
+    // Map GEE-style path (users/username/repo:file) to a local file
+    const { localPath, resolvedBy, reason } = resolvePath(importPath);
+
+    if (!localPath || !fs.existsSync(localPath)) {
+      const message = reason || 'Module not found';
+      if (context.collectModuleErrors) {
+        return recordProblem('unresolved', importPath, localPath, message);
+      }
+      const hint = reason ? '\n  (use --heuristic-resolve to fall back to repo-name lookup)' : '';
+      const error = new Error(`Module not found: ${localPath || importPath}\n  ← Required from GEE path: ${importPath}` +
+        (reason ? `\n  ${reason}` : '') + hint + `\n  require chain:\n    ${formatChain(requireChain(importPath))}`);
+      error.code = 'MODULE_NOT_FOUND';
+      error.requireChain = requireChain(importPath);
+      throw error;
+    }
+
+    if (config.verbose) logger.info(`Loading module: ${localPath}`);
+
+    // Create module sandbox with exports AND shared shims (print, Map, ui)
+    const moduleExports = {};
     const moduleSandbox = {
       exports: moduleExports,
       module: { exports: moduleExports },
       require: geeRequire,
-      ee: ee,
+      ee: context.ee,
       console: console,
       __filename: localPath,
       __dirname: path.dirname(localPath),
       // Include shared shims so modules can use print, Map, ui
-      print: sharedShims.print,
+      print: sharedShims.printFrom(importPath),
       Map: sharedShims.Map,
       ui: sharedShims.ui
     };
 
     try {
       const code = fs.readFileSync(localPath, 'utf8');
+      recordModule({ path: importPath, file: path.relative(process.cwd(), localPath), sha256: hashContent(code), resolvedBy });
+      if (resolvedBy === 'override' && !context.moduleOverrides.some(o => o.path === importPath)) {
+        // What the override replaces, so the run output shows both sides
+        const upstream = resolveUpstream(importPath);
+        const upstreamFile = upstream.localPath && fs.existsSync(upstream.localPath) ? upstream.localPath : null;
+        context.moduleOverrides.push({
+          path: importPath,
+          file: path.relative(process.cwd(), localPath),
+          sha256: hashContent(code),
+          upstreamFile: upstreamFile ? path.relative(process.cwd(), upstreamFile) : null,
+          upstreamSha256: upstreamFile ? hashFile(upstreamFile) : null
+        });
+        logger.warning(`Override: ${importPath}`);
+        logger.info(`  ← ${path.relative(process.cwd(), localPath)}` +
+          (upstreamFile ? ` (instead of ${path.relative(process.cwd(), upstreamFile)})` : ' (no upstream copy)'));
+      }
       vm.createContext(moduleSandbox);
-      vm.runInContext(code, moduleSandbox);
+
+      // Cached before running so a circular require gets the partial exports
+      moduleCache.set(importPath, moduleExports);
+      requireStack.push(importPath);
+      try {
+        context.sandboxFiles.set(localPath, importPath);
+        vm.runInContext(code, moduleSandbox, { filename: localPath, displayErrors: false });
+      } finally {
+        requireStack.pop();
+      }
 
       // Cache the result
       const result = moduleSandbox.module.exports || moduleSandbox.exports;
@@ -543,20 +1445,63 @@ function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
 
       return result;
     } catch (err) {
-      throw new Error(`Failed to load module ${localPath}: ${err.message}`);
+      moduleCache.delete(importPath);
+
+      // Already reported (with its chain) by the module that actually failed
+      if (err.requireChain) throw err;
+
+      const location = locateError(err, localPath);
+      if (context.collectModuleErrors) {
+        return recordProblem('load-error', importPath, localPath, `${err.name}: ${err.message}`, location);
+      }
+
+      const where = path.relative(process.cwd(), localPath) + (location ? `:${location.line}:${location.column}` : '');
+      const error = new Error(`Failed to load module ${importPath}\n  at ${where}: ${err.name}: ${err.message}` +
+        `\n  require chain:\n    ${formatChain(requireChain(importPath))}`);
+      error.code = 'MODULE_LOAD_FAILED';
+      error.requireChain = requireChain(importPath);
+      error.location = location ? { file: localPath, ...location } : null;
+      error.cause = err;
+      throw error;
     }
   };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 5: GEOMETRY RECONSTRUCTION
+// SECTION 6: GEOMETRY RECONSTRUCTION
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Builds the ee.Geometry for an inputParameters.defaultStudyArea source
+ * (GeoJSON, bbox, WKT or table asset; see study-area.js). Local geometries
+ * were checked by validateSidecar(); they are checked again here so a
+ * bad ring never reaches Earth Engine.
+ */
+function buildStudyArea(ee, ip, logger) {
+  const { spec, geometry, errors } = resolveStudyArea(ip.defaultStudyArea);
+  if (errors.length > 0) {
+    throw new Error(`Invalid defaultStudyArea: ${errors.join('; ')}`);
+  }
+
+  if (spec.source === 'table') {
+    let table = ee.FeatureCollection(spec.table);
+    if (spec.filter) table = table.filter(toEeFilter(ee, spec.filter));
+    logger.info(`Reconstructed defaultStudyArea from table ${spec.table}${spec.filter ? ` where ${spec.filterText}` : ''}`);
+    return table.geometry();
+  }
+
+  const geodesic = spec.geodesic !== undefined ? spec.geodesic : !!ip.defaultStudyAreaGeodesic;
+  const from = spec.source === 'geojson' && typeof spec.geojson === 'string' ? path.basename(spec.geojson) : spec.source;
+  logger.info(`Reconstructed defaultStudyArea (${geometry.type}) from ${from}${spec.filter ? ` where ${spec.filterText}` : ''}`);
+  return ee.Geometry[geometry.type](geometry.coordinates, null, geodesic);
+}
+
 /**
  * Reconstructs GEE Geometry objects from JSON coordinates.
  * This handles the "defaultStudyArea" problem where JSON can't store ee.Geometry.
  */
-function reconstructGeometries(params) {
+function reconstructGeometries(params, context) {
+  const { ee, logger } = context;
   if (!params.inputParameters) return params;
 
   const ip = params.inputParameters;
@@ -569,6 +1514,8 @@ function reconstructGeometries(params) {
       ip.defaultStudyAreaGeodesic !== undefined ? ip.defaultStudyAreaGeodesic : false
     );
     logger.info('Reconstructed defaultStudyArea from coordinates');
+  } else if (ip.defaultStudyArea !== undefined) {
+    ip.defaultStudyArea = buildStudyArea(ee, ip, logger);
   }
 
   // Propagate defaultStudyArea to nested collection parameters
@@ -593,16 +1540,353 @@ function reconstructGeometries(params) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 6: SANDBOX CREATION
+// SECTION 7: SANDBOX CREATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function createSandbox(sidecarData, moduleResolver, sharedShims) {
+// ee.batch.Export.image function and task type for each exportParameters destination
+const EXPORT_DESTINATIONS = {
+  asset: { type: 'image.toAsset', what: 'image to asset', create: (ee) => ee.batch.Export.image.toAsset },
+  drive: { type: 'image.toDrive', what: 'image to Drive', create: (ee) => ee.batch.Export.image.toDrive },
+  gcs: { type: 'image.toCloudStorage', what: 'image to Cloud Storage', create: (ee) => ee.batch.Export.image.toCloudStorage }
+};
+
+// Keys that name an export's target; they are not carried over when re-targeting
+const TARGET_KEYS = ['assetId', 'pyramidingPolicy', 'folder', 'fileNamePrefix', 'bucket', 'fileFormat', 'formatOptions'];
+
+// Copies scale/maxPixels/crs/crsTransform from `source` onto an export config
+// (scale and crsTransform are mutually exclusive in Earth Engine)
+function applyExportGeometry(target, source) {
+  if (source.scale !== undefined) {
+    target.scale = source.scale;
+    delete target.crsTransform;
+  }
+  if (source.crsTransform !== undefined) {
+    target.crsTransform = source.crsTransform;
+    delete target.scale;
+  }
+  if (source.maxPixels !== undefined) target.maxPixels = source.maxPixels;
+  if (source.crs !== undefined) target.crs = source.crs;
+}
+
+/**
+ * Applies the sidecar's exportParameters to one image export intercepted from
+ * the caller. scale, maxPixels, crs and crsTransform replace the caller's
+ * values. With `destinations`, the caller's own target is dropped and one
+ * config is built per destination, with that destination's overrides applied
+ * last. Every config is built (and checked) before any is submitted, so a
+ * bad destination throws before anything starts.
+ *
+ * @returns {Array<{destination: string, config: Object}>}
+ */
+function routeImageExport(type, exportConfig, exportParameters) {
+  const ep = exportParameters || {};
+  const base = { ...exportConfig };
+  applyExportGeometry(base, ep);
+
+  if (!Array.isArray(ep.destinations) || ep.destinations.length === 0) {
+    const destination = Object.keys(EXPORT_DESTINATIONS).find(d => EXPORT_DESTINATIONS[d].type === type);
+    return [{ destination, config: base }];
+  }
+
+  const shared = { ...base };
+  TARGET_KEYS.forEach(key => delete shared[key]);
+
+  return ep.destinations.map((dest, i) => {
+    const config = { ...shared, description: dest.description || base.description };
+    applyExportGeometry(config, dest);
+    const formatOptions = dest.cloudOptimized !== undefined ? { cloudOptimized: dest.cloudOptimized } : undefined;
+    const fileName = dest.fileNamePrefix || config.description;
+
+    if (dest.type === 'asset') {
+      config.assetId = dest.assetId || (type === 'image.toAsset' ? base.assetId : undefined);
+      if (!config.assetId) {
+        throw new Error(`exportParameters.destinations[${i}]: asset destination needs an assetId (the caller's ${type} export has none)`);
+      }
+      const policy = dest.pyramidingPolicy || (type === 'image.toAsset' ? base.pyramidingPolicy : undefined);
+      if (policy !== undefined) config.pyramidingPolicy = typeof policy === 'string' ? { '.default': policy } : policy;
+    } else if (dest.type === 'drive') {
+      if (dest.folder) config.folder = dest.folder;
+      config.fileNamePrefix = fileName;
+    } else if (dest.type === 'gcs') {
+      config.bucket = dest.bucket;
+      config.fileNamePrefix = dest.prefix ? `${dest.prefix.replace(/\/+$/, '')}/${fileName}` : fileName;
+    } else {
+      throw new Error(`exportParameters.destinations[${i}]: unknown destination type ${JSON.stringify(dest.type)}`);
+    }
+    if (dest.type !== 'asset') {
+      config.fileFormat = dest.fileFormat || 'GeoTIFF';
+      if (formatOptions) config.formatOptions = formatOptions;
+    }
+    return { destination: dest.type, config };
+  });
+}
+
+// inputParameters recorded on exported images (scalar analysisParameters all are)
+const TAGGED_INPUT_PARAMETERS = ['theTargetYear', 'whichReduction', 'bandNameToFit', 'harmonicConstant',
+  'binCuts', 'modalityDictionary', 'sensitivityDictionary'];
+
+// Asset properties hold only strings and numbers
+function assetPropertyValue(value) {
+  if (typeof value === 'number' || typeof value === 'string') return value;
+  if (typeof value === 'boolean') return String(value);
+  return JSON.stringify(value);
+}
+
+const assetPropertyKey = (name) => String(name).replace(/[^A-Za-z0-9_]/g, '_');
+
+/**
+ * Provenance properties .set() on every exported image, so an asset records
+ * how it was made: experiment, effective sidecar hash, key parameters, caller
+ * version (the caller's `theVersion`), pinned module commits, runner version
+ * and run. Offline and in dry runs only the experiment, caller version and
+ * parameters are set: the sidecar hash, runner version, module commits and
+ * run would change golden snapshots without any change to the graph itself.
+ */
+function buildExportProperties(context, sidecarData, callerVersion) {
+  const live = !context.dryRun && !context.offline;
+  const props = { bulcd_experiment: context.experimentName };
+  if (live) {
+    props.bulcd_sidecar_sha256 = context.effectiveSidecarSha256;
+    props.bulcd_runner_version = RUNNER_VERSION;
+    props.bulcd_run_id = context.runId;
+    props.bulcd_run_timestamp = new Date(context.startedAt).toISOString();
+  }
+  if (callerVersion !== undefined && callerVersion !== null) {
+    props.bulcd_caller_version = assetPropertyValue(callerVersion);
+  }
+
+  const ip = sidecarData.inputParameters || {};
+  TAGGED_INPUT_PARAMETERS.filter(key => ip[key] !== undefined)
+    .forEach(key => { props[`bulcd_ip_${assetPropertyKey(key)}`] = assetPropertyValue(ip[key]); });
+
+  const ap = sidecarData.analysisParameters || {};
+  Object.keys(ap).filter(key => ap[key] !== null && (typeof ap[key] !== 'object' || Array.isArray(ap[key])))
+    .forEach(key => { props[`bulcd_ap_${assetPropertyKey(key)}`] = assetPropertyValue(ap[key]); });
+
+  const lock = context.moduleLock;
+  if (live && lock && lock.repos) {
+    Object.entries(lock.repos).forEach(([repo, sha]) => { props[`bulcd_lock_${assetPropertyKey(repo)}`] = String(sha); });
+  }
+  return props;
+}
+
+const ASSET_POLICIES = ['fail', 'skip', 'overwrite', 'suffix-timestamp', 'suffix-experiment'];
+
+// ee.data asset lookup, null when the asset does not exist. Like task.start(),
+// the Export shims run inside the caller's synchronous execution, so the asset
+// API is called synchronously (no callbacks).
+function getAssetOrNull(data, assetId) {
+  try {
+    return data.getAsset(assetId) || null;
+  } catch (err) {
+    if (isAssetNotFound(err, assetId)) return null;
+    throw err;
+  }
+}
+
+// The client's Error carries only the server's message, not the HTTP status,
+// so absence is Earth Engine's exact "Asset '<id>' not found." for this very
+// asset (legacy IDs come back under projects/earthengine-legacy). Anything
+// else, a permission error included, is a real failure.
+function isAssetNotFound(err, assetId) {
+  const match = /^Asset '([^']+)' not found\.?$/.exec(String(err && err.message).trim());
+  return !!match && (match[1] === assetId || match[1] === `projects/earthengine-legacy/assets/${assetId}`);
+}
+
+// Asset type in one spelling: the Cloud API says "IMAGE_COLLECTION", the
+// legacy API "ImageCollection"
+const assetType = (asset) => String(asset.type || '').toUpperCase().replace(/_/g, '');
+
+// Folders between the asset root and the asset itself, outermost first
+function assetParents(assetId) {
+  const match = /^(projects\/[^/]+\/assets|users\/[^/]+)\/(.+)$/.exec(assetId);
+  if (!match) return [];
+  const parts = match[2].split('/').slice(0, -1);
+  return parts.map((_, i) => `${match[1]}/${parts.slice(0, i + 1).join('/')}`);
+}
+
+/**
+ * Decides where an asset export goes under the overwrite policy:
+ *   fail               existing asset -> error before anything is submitted
+ *   skip               existing asset -> export is not started
+ *   overwrite          existing asset is deleted first
+ *   suffix-timestamp   "<assetId>_<run start, YYYYMMDDTHHMMSS>"
+ *   suffix-experiment  "<assetId>_<experiment name>"
+ * Missing parent folders are noted (the innermost as an ImageCollection when
+ * exportParameters.parentCollection is set). Assets are only looked up here:
+ * applyAssetTarget deletes and creates them once the export task exists, so
+ * a target that throws leaves every asset as it was. Offline and in dry runs
+ * the asset ID is only computed; nothing is looked up.
+ *
+ * @returns {{requestedAssetId: string, assetId: string, policy: string, action: string, createdParents: Array<string>}}
+ */
+function resolveAssetTarget(context, assetId, policy, parentCollection) {
+  const { logger } = context;
+  const stamp = new Date(context.startedAt).toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const target = {
+    requestedAssetId: assetId,
+    assetId,
+    policy,
+    action: 'created',
+    createdParents: []
+  };
+  if (policy === 'suffix-timestamp') target.assetId = `${assetId}_${stamp}`;
+  if (policy === 'suffix-experiment') target.assetId = `${assetId}_${context.experimentName.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+
+  if (context.dryRun || context.offline) return target;
+
+  const data = context.ee.data;
+  const existing = getAssetOrNull(data, target.assetId);
+  if (existing) {
+    if (policy === 'skip') {
+      target.action = 'skipped';
+      return target;
+    }
+    if (policy !== 'overwrite') {
+      throw new Error(`Asset already exists: ${target.assetId} (asset policy "${policy}"; ` +
+        `use --asset-policy or exportParameters.overwritePolicy to skip, overwrite or suffix it)`);
+    }
+    const kind = assetType(existing);
+    if (kind && kind !== 'IMAGE' && kind !== 'TABLE') {
+      throw new Error(`Refusing to overwrite ${target.assetId}: it is a ${existing.type}, not an image or table`);
+    }
+    target.action = 'overwritten';
+  }
+
+  target.missingParents = [];
+  const parents = assetParents(target.assetId);
+  parents.forEach((parent, i) => {
+    const asCollection = parentCollection && i === parents.length - 1;
+    const found = getAssetOrNull(data, parent);
+    if (found) {
+      if (asCollection && assetType(found) !== 'IMAGECOLLECTION') {
+        logger.warning(`${parent} exists but is a ${found.type}, not an ImageCollection`);
+      }
+      return;
+    }
+    target.missingParents.push({ parent, asCollection });
+  });
+  return target;
+}
+
+/**
+ * Carries out a resolved asset target right before its export starts:
+ * deletes the asset being overwritten and creates the missing parents.
+ */
+function applyAssetTarget(context, target) {
+  const { logger } = context;
+  const data = context.ee.data;
+
+  if (target.action === 'overwritten') {
+    data.deleteAsset(target.assetId);
+    logger.warning(`Deleted existing asset before export: ${target.assetId}`);
+  }
+
+  target.missingParents.forEach(({ parent, asCollection }) => {
+    // An earlier export of the same run may have created it already
+    if (getAssetOrNull(data, parent)) return;
+    data.createAsset({ type: asCollection ? 'IMAGE_COLLECTION' : 'FOLDER' }, parent);
+    target.createdParents.push(parent);
+    logger.info(`Created ${asCollection ? 'ImageCollection' : 'folder'}: ${parent}`);
+  });
+  delete target.missingParents;  // The manifest records createdParents
+}
+
+/**
+ * Shared body of every Export.* shim, and of the tile mosaic: build the task,
+ * start it and record its ID so the run can report on (and optionally wait
+ * for) it. Preparing (tags, asset policy) is split from starting so that an
+ * export routed to several destinations checks every target before any of
+ * them starts. callerVersion() reads the caller's theVersion for the tags.
+ */
+function createExportPipeline(context, sidecarData, callerVersion) {
+  const { logger } = context;
+  const submittedTasks = context.submittedTasks;
+  const exportParameters = sidecarData.exportParameters || {};
+  const assetPolicy = config.assetPolicy || exportParameters.overwritePolicy || 'fail';
+
+  const prepareExport = (type, what, createTask, exportConfig) => {
+    // Tag exported images with provenance properties (built once per run)
+    if (config.tagExports && type.startsWith('image.') && exportConfig.image && typeof exportConfig.image.set === 'function') {
+      if (!context.exportProperties) {
+        context.exportProperties = buildExportProperties(context, sidecarData, callerVersion());
+      }
+      exportConfig = { ...exportConfig, image: exportConfig.image.set(context.exportProperties) };
+    }
+
+    // Asset exports: apply the overwrite policy and record the final asset ID
+    let asset = null;
+    if (type.endsWith('.toAsset') && exportConfig.assetId) {
+      asset = resolveAssetTarget(context, exportConfig.assetId, assetPolicy, !!exportParameters.parentCollection);
+      if (asset.assetId !== exportConfig.assetId) {
+        exportConfig = { ...exportConfig, assetId: asset.assetId };
+      }
+    }
+    return { type, what, createTask, exportConfig, asset };
+  };
+
+  const startExport = ({ type, what, createTask, exportConfig, asset }) => {
+    const label = exportConfig.description || exportConfig.assetId || 'unnamed';
+    if (context.dryRun) {
+      logger.info(`[DRY-RUN] Would export ${what}: ${label}`);
+      context.plannedExports.push({ type, config: exportConfig, asset });
+      return { start: () => {} };
+    }
+    if (context.offline) {
+      submittedTasks.push({ type, config: exportConfig, taskId: null, offline: true, asset });
+      logger.info(`[OFFLINE] Recorded export ${what}: ${label}`);
+      return { start: () => {} };
+    }
+    if (asset && asset.action === 'skipped') {
+      submittedTasks.push({ type, config: exportConfig, taskId: null, skipped: true, asset });
+      logger.warning(`Asset exists, export not started: ${asset.assetId}`);
+      return { start: () => {} };
+    }
+    const task = createTask(exportConfig);
+    if (asset) applyAssetTarget(context, asset);
+    task.start();  // Auto-start
+    submittedTasks.push({ type, config: exportConfig, taskId: task.id, asset });
+    if (context.onTask) context.onTask({ taskId: task.id || null, type, label });
+    logger.info(`Export started: ${label}${task.id ? Style.gray(` (${task.id})`) : ''}`);
+    return { id: task.id, start: () => {} };  // No-op if .start() called again
+  };
+
+  const submitExport = (type, what, createTask, exportConfig) =>
+    startExport(prepareExport(type, what, createTask, exportConfig));
+
+  return { prepareExport, startExport, submitExport };
+}
+
+function createSandbox(sidecarData, moduleResolver, sharedShims, context) {
+  const { logger, ee } = context;
+
   // Submitted task tracking
-  const submittedTasks = [];
+  const submittedTasks = context.submittedTasks;
 
   // Script exports container
   const scriptExports = {};
 
+  const capturePrint = sharedShims.printFrom(context.callerName);
+
+  // Export shims: tags, asset policy and task tracking (see createExportPipeline)
+  const { prepareExport, startExport, submitExport } = createExportPipeline(context, sidecarData, () => sandbox.theVersion);
+
+  // Image exports go through the sidecar's exportParameters (see routeImageExport)
+  const exportImage = (type, exportConfig) => {
+    const routes = routeImageExport(type, exportConfig, sidecarData.exportParameters);
+    const rerouted = routes.length > 1 || EXPORT_DESTINATIONS[routes[0].destination].type !== type;
+    if (rerouted) {
+      logger.info(`Routing ${exportConfig.description || 'unnamed'} to exportParameters.destinations: ` +
+        routes.map(r => r.destination).join(', '));
+    }
+    const prepared = routes.map(({ destination, config }) => {
+      const target = EXPORT_DESTINATIONS[destination];
+      return prepareExport(target.type, target.what, target.create(ee), config);
+    });
+    const handles = prepared.map(startExport);
+    return handles.length === 1 ? handles[0] : { id: handles[0].id, ids: handles.map(h => h.id), start: () => {} };
+  };
+
   const sandbox = {
     ee: ee,
     require: moduleResolver,
@@ -616,6 +1900,7 @@ function createSandbox(sidecarData, moduleResolver, sharedShims) {
 
     // GEE print shim - logs to console unless --quiet flag is set
     print: (...args) => {
+      capturePrint(...args);
       if (config.quiet) return; // Suppress print output in quiet mode
       const formatted = args.map(a =>
         typeof a === 'object' ? JSON.stringify(a, null, 2) : String(a)
@@ -638,130 +1923,1135 @@ function createSandbox(sidecarData, moduleResolver, sharedShims) {
     // This mirrors GEE Code Editor behavior where clicking Run starts the task
     Export: {
       image: {
-        toAsset: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export image to asset: ${config.assetId || config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.image.toAsset(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'image.toAsset', config });
-          logger.info(`Export started: ${config.description || config.assetId}`);
-          return { start: () => {} };  // No-op if .start() called again
-        },
-        toDrive: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export image to Drive: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.image.toDrive(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'image.toDrive', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        },
-        toCloudStorage: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export image to Cloud Storage: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.image.toCloudStorage(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'image.toCloudStorage', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        }
+        toAsset: (config) => exportImage('image.toAsset', config),
+        toDrive: (config) => exportImage('image.toDrive', config),
+        toCloudStorage: (config) => exportImage('image.toCloudStorage', config)
       },
       table: {
-        toAsset: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export table to asset: ${config.assetId || config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.table.toAsset(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'table.toAsset', config });
-          logger.info(`Export started: ${config.description || config.assetId}`);
-          return { start: () => {} };
-        },
-        toDrive: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export table to Drive: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.table.toDrive(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'table.toDrive', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        }
+        toAsset: (config) => submitExport('table.toAsset', 'table to asset', ee.batch.Export.table.toAsset, config),
+        toDrive: (config) => submitExport('table.toDrive', 'table to Drive', ee.batch.Export.table.toDrive, config)
       },
       video: {
-        toDrive: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export video to Drive: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.video.toDrive(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'video.toDrive', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        }
+        toDrive: (config) => submitExport('video.toDrive', 'video to Drive', ee.batch.Export.video.toDrive, config)
       }
     },
 
-    // Provide access to submitted tasks
-    __submittedTasks: submittedTasks
+    // Provide access to submitted tasks, and a way to start exports that
+    // bypass exportParameters routing (e.g. --layers=export)
+    __submittedTasks: submittedTasks,
+    __submitExport: submitExport
   };
 
   return sandbox;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 7: EXPERIMENT EXECUTION
+// SECTION 8: TASK MONITORING
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function runExperiment(userScript, moduleRoot, sidecarPath) {
-  const experimentName = path.basename(sidecarPath, '.json');
+const TERMINAL_TASK_STATES = ['COMPLETED', 'FAILED', 'CANCELLED'];
 
-  if (!config.noLog) {
-    logger.initLogFile(experimentName);
-  }
+const TASK_POLL_DEFAULTS = {
+  initialDelay: 10000,     // First poll after 10s
+  maxDelay: 120000,        // Back off to at most one poll every 2 minutes
+  backoff: 1.5,
+  maxConsecutiveErrors: 5,
+  timeout: null            // ms; null waits indefinitely
+};
 
-  logger.banner('BULC-D HEADLESS LAB RUNNER v11.0');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  // --- Load and validate sidecar ---
-  logger.section('Loading Experiment Configuration');
+/**
+ * Promisified ee.data.getTaskStatus. `data` is ee.data by default but can be
+ * any object exposing getTaskStatus(ids, callback) - e.g. a test stub.
+ */
+function getTaskStatuses(data, taskIds) {
+  return new Promise((resolve, reject) => {
+    data.getTaskStatus(taskIds, (statuses, err) => {
+      if (err) reject(new Error(String(err)));
+      else resolve(statuses || []);
+    });
+  });
+}
 
-  let sidecarData;
-  try {
-    const raw = fs.readFileSync(path.resolve(sidecarPath), 'utf8');
-    sidecarData = JSON.parse(raw);
-    logger.success(`Loaded sidecar: ${path.basename(sidecarPath)}`);
-  } catch (e) {
-    logger.error(`Failed to parse JSON: ${e.message}`);
-    return { success: false, error: e.message };
+/**
+ * Polls submitted tasks until every one reaches COMPLETED, FAILED or CANCELLED
+ * (or the timeout expires), logging each state transition as it is observed.
+ *
+ * @param {Array<{taskId: string, type: string, config: Object}>} tasks - Tasks recorded by the Export shims
+ * @param {Logger} logger
+ * @param {Object} [options] - Overrides for TASK_POLL_DEFAULTS, plus `data` (defaults to ee.data)
+ * @returns {Promise<{allCompleted: boolean, timedOut: boolean, tasks: Array}>}
+ */
+async function waitForTasks(tasks, logger, options = {}) {
+  const opts = { ...TASK_POLL_DEFAULTS, ...options };
+  const data = options.data || loadEarthEngine().data;
+
+  const tracked = tasks.filter(t => t.taskId).map(t => ({
+    taskId: t.taskId,
+    type: t.type,
+    label: t.config.description || t.config.assetId || 'unnamed',
+    state: 'SUBMITTED',
+    errorMessage: null
+  }));
+
+  if (tracked.length === 0) {
+    return { allCompleted: true, timedOut: false, tasks: [] };
   }
 
-  // Validate
-  logger.section('Validating Parameters');
-  const validation = validateSidecar(sidecarData, sidecarPath);
-
-  if (validation.errors.length > 0) {
-    logger.error('Validation failed with errors:');
-    validation.errors.forEach(e => logger.error(`  • ${e}`));
-    return { success: false, errors: validation.errors };
-  }
+  logger.info(`Waiting for ${tracked.length} task(s) to finish...`);
 
-  if (validation.warnings.length > 0) {
-    logger.warning('Validation warnings:');
-    validation.warnings.forEach(w => logger.warning(`  • ${w}`));
-  }
+  const started = Date.now();
+  let delay = opts.initialDelay;
+  let consecutiveErrors = 0;
+  let timedOut = false;
 
-  logger.success('Parameter validation passed');
+  while (tracked.some(t => !TERMINAL_TASK_STATES.includes(t.state))) {
+    if (opts.timeout && Date.now() - started + delay > opts.timeout) {
+      timedOut = true;
+      break;
+    }
+    await sleep(delay);
 
-  // Show configuration summary
+    const pending = tracked.filter(t => !TERMINAL_TASK_STATES.includes(t.state));
+    let statuses;
+    try {
+      statuses = await getTaskStatuses(data, pending.map(t => t.taskId));
+      consecutiveErrors = 0;
+    } catch (err) {
+      consecutiveErrors++;
+      logger.warning(`Task status poll failed (${consecutiveErrors}/${opts.maxConsecutiveErrors}): ${err.message}`);
+      if (consecutiveErrors >= opts.maxConsecutiveErrors) {
+        logger.error('Giving up on task monitoring after repeated errors');
+        break;
+      }
+      delay = Math.min(delay * opts.backoff, opts.maxDelay);
+      continue;
+    }
+
+    let changed = false;
+    for (const status of statuses) {
+      const task = pending.find(t => t.taskId === status.id);
+      if (!task || !status.state || status.state === task.state) continue;
+
+      changed = true;
+      const transition = `${task.state} → ${status.state}`;
+      task.state = status.state;
+      task.errorMessage = status.error_message || null;
+
+      if (status.state === 'COMPLETED') {
+        logger.success(`Task ${task.label}: ${transition}`);
+      } else if (status.state === 'FAILED' || status.state === 'CANCELLED') {
+        logger.error(`Task ${task.label}: ${transition}${task.errorMessage ? ` - ${task.errorMessage}` : ''}`);
+      } else {
+        logger.info(`Task ${task.label}: ${transition}`);
+      }
+    }
+
+    // Poll quickly while tasks are moving, back off while they are not
+    delay = changed ? opts.initialDelay : Math.min(delay * opts.backoff, opts.maxDelay);
+  }
+
+  if (timedOut) {
+    logger.warning(`Stopped waiting after ${Math.round((Date.now() - started) / 60000)} minute(s); tasks keep running in GEE`);
+  }
+
+  return {
+    allCompleted: tracked.every(t => t.state === 'COMPLETED'),
+    timedOut,
+    tasks: tracked
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 9: RUN MANIFEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const RUNNER_VERSION = '11.0.0';
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Client-side bounding box of an export region: an ee.Geometry built from
+ * local coordinates, a GeoJSON object, or a raw coordinate array.
+ * Returns null for computed geometries that can't be inspected without getInfo().
+ */
+function regionBbox(region) {
+  let geojson = region;
+  if (region && typeof region.toGeoJSON === 'function') {
+    try {
+      geojson = region.toGeoJSON();
+    } catch (e) {
+      return null;
+    }
+  }
+  const coords = Array.isArray(geojson) ? geojson : geojson && geojson.coordinates;
+  if (!Array.isArray(coords)) return null;
+
+  const points = [];
+  const collect = (c) => {
+    if (typeof c[0] === 'number') points.push(c);
+    else c.forEach(collect);
+  };
+  collect(coords);
+  if (points.length === 0) return null;
+
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Reduces an Export.* config to its JSON-safe fields. The exported ee object
+ * itself is dropped and the region is summarised as a bbox.
+ */
+function summarizeExportConfig(exportConfig) {
+  const summary = {};
+  for (const [key, value] of Object.entries(exportConfig)) {
+    if (key === 'image' || key === 'collection' || key === 'region') continue;
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      summary[key] = value;
+    } else if (Array.isArray(value) && value.every(v => typeof v !== 'object')) {
+      summary[key] = value;
+    } else if (value && value.constructor === Object) {
+      summary[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+  if (exportConfig.region !== undefined) {
+    summary.regionBbox = regionBbox(exportConfig.region);
+  }
+  return summary;
+}
+
+/**
+ * Writes <output-dir>/<run id>/manifest.json: a machine-readable record of
+ * exactly what went into a run and what came out of it, for reproducing and
+ * auditing published change maps.
+ */
+function writeRunManifest(context, userScript, result) {
+  const finishedAt = Date.now();
+  const manifest = {
+    manifestVersion: 1,
+    runner: { name: 'bulcd-runner', version: RUNNER_VERSION, node: process.version },
+    runId: context.runId,
+    experiment: context.experimentName,
+    sidecar: {
+      path: context.sidecarPath,
+      sha256: hashFile(context.sidecarPath),
+      extends: context.sidecarSources.slice(0, -1).map(src => ({
+        path: path.relative(process.cwd(), src),
+        sha256: hashFile(src)
+      })),
+      overrides: context.sidecarOverrides,
+      effectiveSha256: context.effectiveSidecarSha256
+    },
+    caller: {
+      path: userScript,
+      sha256: hashFile(userScript)
+    },
+    modules: context.modules,
+    moduleLock: context.moduleLock,
+    moduleOverrides: context.moduleOverrides,
+    exportProperties: context.exportProperties,
+    layers: context.layerOutputs,
+    prints: context.printOutputs,
+    charts: context.chartOutputs,
+    validation: {
+      errors: context.validation ? context.validation.errors : [],
+      warnings: context.validation ? context.validation.warnings : []
+    },
+    exports: context.submittedTasks.map(t => ({
+      type: t.type,
+      taskId: t.taskId || null,
+      state: t.skipped ? 'SKIPPED' : t.state || null,
+      config: summarizeExportConfig(t.config),
+      asset: t.asset || null
+    })),
+    plannedExports: context.plannedExports.map(t => ({
+      type: t.type,
+      config: summarizeExportConfig(t.config),
+      asset: t.asset || null
+    })),
+    moduleProblems: context.moduleProblems,
+    moduleCycles: context.moduleCycles,
+    timings: {
+      startedAt: new Date(context.startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - context.startedAt,
+      phases: context.phases
+    },
+    outcome: {
+      success: !!result.success,
+      dryRun: !!result.dryRun,
+      error: result.error || (result.errors ? result.errors.join('; ') : null)
+    }
+  };
+
+  const manifestPath = path.join(getRunOutputDir(context), 'manifest.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 10: EXPERIMENT EXECUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates the isolated state for a single experiment run.
+ * Each run gets its own Logger, module cache and task list so that
+ * experiments executing side by side in a batch cannot share state.
+ */
+function createExperimentContext(sidecarPath, options = {}) {
+  const experimentName = options.name || path.basename(sidecarPath, '.json');
+  const startedAt = Date.now();
+  const timestamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  return {
+    experimentName,
+    runId: `${experimentName}_${timestamp}`,
+    sidecarPath,
+    startedAt,
+    logger: options.logger || new Logger('./logs', options.prefix || null),
+    ee: null,             // Set once Earth Engine is initialized (or to the offline recorder)
+    recorder: null,       // Offline ee recorder (deep dry run)
+    dryRun: options.dryRun !== undefined ? options.dryRun : config.dryRun,
+    offline: options.offline !== undefined ? options.offline : config.offline,
+    injectedEE: options.ee || null,   // Replacement ee client, e.g. with a stubbed ee.data
+    onTask: options.onTask || null,   // Called as each export task is started (batch state)
+    onSubmitted: options.onSubmitted || null, // Called with submittedTasks once the caller has run
+    exportProperties: null, // Provenance properties set on exported images
+    goldenPath: options.golden !== undefined ? options.golden : config.golden,
+    callerName: null,
+    collectModuleErrors: false,
+    moduleProblems: [],   // Unresolved modules / load errors collected in a deep dry run
+    moduleCycles: [],     // Circular require chains, e.g. [A, B, A]
+    sandboxFiles: new Map(), // Absolute path -> GEE path (or caller name) of every vm-evaluated script
+    plannedExports: [],   // Exports a dry run would have started
+    moduleCache: new Map(),
+    submittedTasks: [],
+    sidecarSources: [],   // Files in the "extends" chain, bases first
+    sidecarOverrides: [], // --set overrides as applied
+    effectiveSidecarSha256: null,
+    modules: [],          // Resolved/injected modules, for the run manifest
+    moduleLock: null,     // Pinned repo commits from gee-modules.lock.json
+    moduleOverrides: [],  // Modules loaded from overrides/ instead of gee_modules
+    layers: [],           // Map.addLayer calls, in order
+    prints: [],           // print() calls, with --evaluate-prints
+    charts: [],           // ui.Chart.* calls, in order
+    chartOutputs: null,   // What --charts rendered, for the run manifest
+    printOutputs: null,   // Where --evaluate-prints wrote them, for the run manifest
+    layerOutputs: null,   // What --layers wrote/started for them, for the run manifest
+    validation: null,
+    phases: {}            // Phase durations in ms, for the run manifest
+  };
+}
+
+/**
+ * Per-run output folder (<output-dir>/<run id>), created on first use.
+ */
+function getRunOutputDir(context) {
+  const dir = path.join(config.outputDir, context.runId);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// Authentication and ee.initialize() are process-wide, so they run once and
+// every experiment (including parallel batch workers) awaits the same promise.
+let eeInitPromise = null;
+
+function initializeEarthEngine(logger) {
+  if (eeInitPromise) return eeInitPromise;
+
+  eeInitPromise = new Promise((resolve, reject) => {
+    const keyPath = process.env.GEE_KEY_PATH || './service-account-key.json';
+
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Service account key not found: ${keyPath}`);
+      logger.info('Set GEE_KEY_PATH environment variable or place key at ./service-account-key.json');
+      reject(new Error('Service account key not found'));
+      return;
+    }
+
+    const ee = loadEarthEngine();
+    const KEY = require(path.resolve(keyPath));
+    logger.info(`Authenticating as: ${KEY.client_email}`);
+
+    ee.data.authenticateViaPrivateKey(KEY, () => {
+      logger.success('Authentication successful');
+
+      ee.initialize(null, null, () => {
+        resolve();
+      }, (err) => {
+        logger.error(`Failed to initialize EE: ${err}`);
+        reject(new Error(String(err)));
+      });
+    }, (err) => {
+      logger.error(`Authentication failed: ${err}`);
+      reject(new Error(String(err)));
+    });
+  });
+
+  return eeInitPromise;
+}
+
+/**
+ * Runs the caller script in a fresh vm sandbox against context.ee (the real
+ * client or the offline recorder). Throws whatever the caller throws.
+ */
+function executeCaller(context, userScript, moduleRoot, sidecarData) {
+  // Reconstruct geometries
+  sidecarData = reconstructGeometries(sidecarData, context);
+
+  // Create shared shims for print, Map, ui (used by modules)
+  const sharedShims = createSharedShims(context.ee, {
+    layers: context.layers,
+    charts: context.charts,
+    prints: config.evaluatePrints ? context.prints : null
+  });
+
+  // Create sandbox and resolver with shared shims and parameter injection
+  const moduleResolver = createModuleResolver(moduleRoot, sharedShims, sidecarData, context);
+  const sandbox = createSandbox(sidecarData, moduleResolver, sharedShims, context);
+
+  // Read and execute caller script
+  const code = fs.readFileSync(userScript, 'utf8');
+  vm.createContext(sandbox);
+
+  const callerFile = path.resolve(userScript);
+  context.sandboxFiles.set(callerFile, path.basename(userScript));
+
+  context.logger.info(`Executing: ${path.basename(userScript)}`);
+  vm.runInContext(code, sandbox, { filename: callerFile, displayErrors: false });
+  return sandbox;
+}
+
+/**
+ * Deep dry run: executes the caller and every module it requires against the
+ * offline ee recorder - no authentication, nothing sent to Google. Missing
+ * modules and modules that fail to load are collected (with the require chain
+ * that reached them) instead of aborting, so one pass reports all of them.
+ */
+async function executeDeepDryRun(context, userScript, moduleRoot, sidecarData) {
+  const { logger } = context;
+
+  logger.section('Deep Dry Run (offline)');
+
+  context.recorder = createRecordingEE();
+  context.ee = context.recorder.ee;
+  context.collectModuleErrors = true;
+
+  let runtimeError = null;
+  let sandbox = null;
+  const phaseStart = Date.now();
+  try {
+    sandbox = executeCaller(context, userScript, moduleRoot, sidecarData);
+  } catch (err) {
+    runtimeError = err;
+  }
+  context.phases.executeMs = Date.now() - phaseStart;
+
+  logger.section('Deep Dry Run Report');
+
+  const loaded = context.modules.filter(m => !m.injected && !context.moduleProblems.some(p => p.path === m.path));
+  const injected = context.modules.filter(m => m.injected);
+  logger.info(`Modules loaded: ${loaded.length} (+${injected.length} injected from sidecar)`);
+  if (config.verbose) {
+    loaded.forEach(m => logger.info(`  ${m.path}`));
+  }
+  logger.info(`ee calls recorded: ${context.recorder.calls.length}`);
+
+  const unresolved = context.moduleProblems.filter(p => p.kind === 'unresolved');
+  const loadErrors = context.moduleProblems.filter(p => p.kind === 'load-error');
+
+  if (unresolved.length > 0) {
+    logger.error(`Unresolved modules (${unresolved.length}):`);
+    unresolved.forEach(p => {
+      logger.error(`  • ${p.path}`);
+      logger.info(p.file ? `      expected at: ${p.file}` : `      ${p.error}`);
+      logger.info(`      required via: ${p.chain.join(' → ')}`);
+    });
+  }
+
+  if (loadErrors.length > 0) {
+    logger.error(`Modules that failed to load (${loadErrors.length}):`);
+    loadErrors.forEach(p => {
+      logger.error(`  • ${p.path}: ${p.error}`);
+      if (p.line) logger.info(`      at: ${p.file}:${p.line}:${p.column}`);
+      logger.info(`      required via: ${p.chain.join(' → ')}`);
+    });
+  }
+
+  if (context.moduleCycles.length > 0) {
+    logger.warning(`Circular requires (${context.moduleCycles.length}); modules in a cycle see partial exports:`);
+    context.moduleCycles.forEach(cycle => logger.warning(`  • ${cycle.join(' → ')}`));
+  }
+
+  if (runtimeError) {
+    logger.error('Caller failed during offline execution:');
+    logger.error(formatRuntimeError(runtimeError, context));
+  }
+
+  if (config.layers && sandbox) {
+    await writeLayerOutputs(context, sandbox);
+  }
+
+  const planned = context.plannedExports;
+  if (planned.length > 0) {
+    logger.success(`Exports that would be started (${planned.length}):`);
+    planned.forEach((t, i) => {
+      const c = t.config;
+      const details = [c.assetId, c.scale !== undefined && `scale ${c.scale}`, c.maxPixels !== undefined && `maxPixels ${c.maxPixels}`]
+        .filter(Boolean).join(', ');
+      logger.info(`  ${i + 1}. ${t.type}: ${c.description || c.assetId || 'unnamed'}${details ? Style.gray(` (${details})`) : ''}`);
+    });
+  } else {
+    logger.warning('The caller would not start any exports');
+  }
+
+  if (planned.length > 0) {
+    logger.info(`Expression graph: ${writeRecordedGraph(context, planned).graphPath}`);
+  }
+
+  const problems = context.moduleProblems.length + (runtimeError ? 1 : 0);
+  logger.info(Style.time(`Total time: ${logger.elapsed()}`));
+
+  if (problems > 0) {
+    logger.error(`Deep dry run found ${problems} problem(s)`);
+    return {
+      success: false,
+      dryRun: true,
+      error: runtimeError ? runtimeError.message : `${context.moduleProblems.length} module problem(s)`,
+      plannedExports: planned.length
+    };
+  }
+
+  logger.success('Deep dry run passed: module graph loads and the caller runs offline');
+  return { success: true, dryRun: true, plannedExports: planned.length };
+}
+
+/**
+ * Serializes recorded exports (with the ee expressions they reference) and
+ * writes them to <run dir>/graph.json.
+ */
+function writeRecordedGraph(context, exports) {
+  const graph = context.recorder.serialize({
+    exports: exports.map(t => ({ type: t.type, config: t.config }))
+  });
+  const graphPath = path.join(getRunOutputDir(context), 'graph.json');
+  fs.writeFileSync(graphPath, JSON.stringify(graph, null, 2) + '\n');
+  return { graph, graphPath };
+}
+
+const LAYER_ACTIONS = ['export', 'thumbs'];
+
+// Earth Engine class of a layer's object, when the client can tell (the
+// offline recorder cannot, so recorded layers are treated as images)
+function layerKind(ee, eeObject) {
+  for (const kind of ['ImageCollection', 'Image', 'FeatureCollection', 'Feature', 'Geometry']) {
+    const cls = ee[kind];
+    if (typeof cls === 'function' && cls.prototype && eeObject instanceof cls) return kind;
+  }
+  return null;
+}
+
+function serializeLayerObject(context, eeObject) {
+  try {
+    if (context.recorder) return context.recorder.serialize(eeObject);
+    if (eeObject && typeof eeObject.serialize === 'function') return JSON.parse(eeObject.serialize());
+    return eeObject === undefined ? null : eeObject;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Runs fn(callback) and resolves with { value } or { error } - the ee client's
+// getThumbURL/getMapId report failures as the callback's second argument
+function eeCallback(fn) {
+  return new Promise(resolve => {
+    try {
+      fn((value, error) => resolve(error ? { error: String(error) } : { value }));
+    } catch (err) {
+      resolve({ error: err.message });
+    }
+  });
+}
+
+/**
+ * --layers: writes every Map.addLayer call to <run dir>/layers.json and, per
+ * config.layerActions, starts an asset export for each image layer (through the
+ * sandbox's Export shim, so dry/offline runs only plan or record them) and
+ * fetches thumbnail URLs and map IDs. Region and scale are taken from the
+ * caller's first image asset export.
+ */
+async function writeLayerOutputs(context, sandbox) {
+  const { logger, ee } = context;
+  const actions = config.layerActions;
+  const primary = [...context.submittedTasks, ...context.plannedExports].find(t => t.type === 'image.toAsset');
+  const region = primary ? primary.config.region : undefined;
+  const live = !context.dryRun && !context.offline;
+
+  let assetRoot = config.layersAssetRoot;
+  if (!assetRoot && primary && primary.config.assetId) {
+    assetRoot = String(primary.config.assetId).replace(/\/[^/]*$/, '');
+  }
+  if (actions.includes('export') && !assetRoot) {
+    logger.warning('Layer exports skipped: no --layers-asset-root and the caller has no image asset export');
+  }
+
+  const layers = [];
+  for (const layer of context.layers) {
+    const kind = layerKind(ee, layer.eeObject);
+    const entry = {
+      index: layer.index,
+      name: layer.name,
+      visParams: layer.visParams,
+      shown: layer.shown,
+      opacity: layer.opacity,
+      kind
+    };
+    // Offline, recorded objects match no ee class and stand for images; in a
+    // live run an unrecognised object is listed but not acted on
+    if (kind === null && !context.recorder) {
+      entry.skipped = 'not an ee.Image, ImageCollection, FeatureCollection, Feature or Geometry';
+      logger.warning(`Layer "${layer.name}": ${entry.skipped}; skipped`);
+      layers.push(entry);
+      continue;
+    }
+
+    // One failing layer is reported in layers.json without failing the run
+    try {
+      const image = kind === 'ImageCollection' ? layer.eeObject.mosaic()
+        : (kind === 'Image' || kind === null) ? layer.eeObject
+        : null;
+
+      if (actions.includes('export') && assetRoot) {
+        if (!image) {
+          entry.export = { skipped: `${kind} layers are not exported` };
+        } else {
+          const slug = layer.name.trim().replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'layer';
+          const id = `L${String(layer.index).padStart(2, '0')}_${slug}`;
+          const exportConfig = {
+            image: image.toFloat(),
+            description: `${context.experimentName}_${id}`.replace(/[^A-Za-z0-9.,:;_-]/g, '_').slice(0, 100),
+            assetId: `${assetRoot}/${context.experimentName}_${id}`,
+            region,
+            scale: primary && primary.config.scale !== undefined ? primary.config.scale : 30,
+            maxPixels: 1e13
+          };
+          const task = sandbox.__submitExport('image.toAsset', 'image to asset', ee.batch.Export.image.toAsset, exportConfig);
+          entry.export = { assetId: exportConfig.assetId, description: exportConfig.description, taskId: task.id || null };
+        }
+      }
+
+      if (actions.includes('thumbs') && live) {
+        const target = image || layer.eeObject;
+        if (image) {
+          const thumb = await eeCallback(cb => image.getThumbURL({ ...layer.visParams, dimensions: 512, format: 'png', region }, cb));
+          if (thumb.error) entry.thumbError = thumb.error;
+          else entry.thumbUrl = thumb.value;
+        }
+        const map = await eeCallback(cb => target.getMapId(layer.visParams, cb));
+        if (map.error) {
+          entry.mapIdError = map.error;
+        } else {
+          entry.mapId = map.value.mapid;
+          entry.tileUrl = map.value.urlFormat;
+        }
+        if (entry.thumbError || entry.mapIdError) {
+          logger.warning(`Layer "${layer.name}": ${entry.thumbError || entry.mapIdError}`);
+        }
+      }
+    } catch (err) {
+      entry.error = err.message;
+      logger.warning(`Layer "${layer.name}": ${err.message}`);
+    }
+
+    layers.push(entry);
+  }
+
+  if (actions.includes('thumbs') && !live) {
+    logger.info('Layer thumbnails and map IDs are not fetched in dry-run/offline mode');
+  }
+
+  const layersPath = path.join(getRunOutputDir(context), 'layers.json');
+  const document = {
+    runId: context.runId,
+    experiment: context.experimentName,
+    layers: layers.map((entry, i) => ({ ...entry, object: serializeLayerObject(context, context.layers[i].eeObject) }))
+  };
+  fs.writeFileSync(layersPath, JSON.stringify(document, null, 2) + '\n');
+  context.layerOutputs = { file: layersPath, layers };
+
+  logger.info(`Map layers: ${layers.length} written to ${layersPath}`);
+  if (config.verbose) {
+    layers.forEach(l => logger.info(`  ${l.shown ? '●' : '○'} ${l.name}${l.export && l.export.assetId ? Style.gray(` → ${l.export.assetId}`) : ''}`));
+  }
+  return layersPath;
+}
+
+// Limits for --evaluate-prints
+const PRINT_EVALUATION_LIMITS = {
+  timeoutMs: 60000,           // Per getInfo() call
+  maxBytes: 64 * 1024,        // Larger printed values are truncated in prints.jsonl
+  maxCollectionElements: 50,  // Collections are limit()ed before getInfo()
+  maxDepth: 8                 // How deep printed objects/arrays are searched for ee objects
+};
+
+function isEEObject(context, value) {
+  if (context.recorder) return context.recorder.isNode(value);
+  const { ee } = context;
+  return typeof ee.ComputedObject === 'function' && value instanceof ee.ComputedObject;
+}
+
+function getInfoWithTimeout(value, timeoutMs) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ error: `getInfo() timed out after ${timeoutMs / 1000}s` }), timeoutMs);
+  });
+  return Promise.race([eeCallback(cb => value.getInfo(cb)), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Turns one print() argument into JSON. ee objects become { ee: <getInfo()
+ * result> } (or { ee: null, error } when evaluation fails); offline they
+ * become { ee: null, expression } instead. Failures are appended to `failures`.
+ */
+async function encodePrintValue(context, value, live, failures, depth = 0) {
+  const limits = PRINT_EVALUATION_LIMITS;
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'function' && !isEEObject(context, value)) return '[Function]';
+  if (typeof value !== 'object' && typeof value !== 'function') {
+    return typeof value === 'number' && !Number.isFinite(value) ? String(value) : value;
+  }
+
+  if (isEEObject(context, value)) {
+    if (!live) {
+      return { ee: null, expression: context.recorder ? context.recorder.serialize(value) : null };
+    }
+    const { ee } = context;
+    const isCollection = typeof ee.Collection === 'function' && value instanceof ee.Collection;
+    const target = isCollection ? value.limit(limits.maxCollectionElements) : value;
+    const info = await getInfoWithTimeout(target, limits.timeoutMs);
+    if (info.error) {
+      failures.push(info.error);
+      return { ee: null, error: info.error };
+    }
+    return isCollection ? { ee: info.value, limit: limits.maxCollectionElements } : { ee: info.value };
+  }
+
+  if (depth >= limits.maxDepth) return '[…]';
+  if (Array.isArray(value)) {
+    const out = [];
+    for (const item of value) out.push(await encodePrintValue(context, item, live, failures, depth + 1));
+    return out;
+  }
+  const out = {};
+  for (const key of Object.keys(value)) {
+    out[key] = await encodePrintValue(context, value[key], live, failures, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * --evaluate-prints: evaluates every captured print() call (caller and
+ * modules, in call order) and writes one JSON line per call to
+ * <run dir>/prints.jsonl. A print that fails to evaluate is reported but
+ * does not fail the run.
+ */
+async function writePrintOutputs(context) {
+  const { logger } = context;
+  const live = !context.dryRun && !context.offline;
+  const maxBytes = PRINT_EVALUATION_LIMITS.maxBytes;
+
+  if (live && context.prints.length > 0) {
+    logger.info(`Evaluating ${context.prints.length} print() call(s)...`);
+  }
+
+  const lines = [];
+  let failed = 0;
+  for (const entry of context.prints) {
+    const started = Date.now();
+    const failures = [];
+    const args = [];
+    for (const arg of entry.args) {
+      const encoded = await encodePrintValue(context, arg, live, failures);
+      const json = JSON.stringify(encoded);
+      args.push(json !== undefined && json.length > maxBytes
+        ? { truncated: true, bytes: json.length, preview: json.slice(0, maxBytes) }
+        : encoded);
+    }
+    if (failures.length > 0) {
+      failed++;
+      logger.warning(`print #${entry.seq} (${entry.source || 'unknown'}): ${failures[0]}`);
+    }
+    lines.push(JSON.stringify({
+      seq: entry.seq,
+      source: entry.source,
+      evaluated: live,
+      args,
+      durationMs: Date.now() - started
+    }));
+  }
+
+  const printsPath = path.join(getRunOutputDir(context), 'prints.jsonl');
+  fs.writeFileSync(printsPath, lines.map(line => line + '\n').join(''));
+  context.printOutputs = { file: printsPath, count: lines.length, evaluated: live, failed };
+
+  logger.info(`print() output: ${lines.length} call(s) written to ${printsPath}` +
+    (live ? '' : Style.gray(' (not evaluated offline)')));
+  return printsPath;
+}
+
+// Limits for --charts
+const CHART_EVALUATION_LIMITS = {
+  timeoutMs: 300000,   // Per chart
+  maxRows: 5000        // Images (series) or features (byFeature) evaluated per chart
+};
+
+// Region argument of a chart (Geometry, Feature or FeatureCollection) as a Geometry
+function chartRegion(ee, region) {
+  if (typeof ee.Geometry === 'function' && region instanceof ee.Geometry) return region;
+  return ee.FeatureCollection(region).geometry();
+}
+
+// Per-image region reductions, with the chart's x value in "__x"
+function reducedImageFeatures(ee, collection, region, reducer, scale, xValue) {
+  const geometry = chartRegion(ee, region);
+  return ee.ImageCollection(collection)
+    .limit(CHART_EVALUATION_LIMITS.maxRows)
+    .map(image => ee.Feature(null, ee.Image(image).reduceRegion({
+      reducer: reducer || ee.Reducer.mean(), geometry, scale, maxPixels: 1e13
+    })).set('__x', xValue(ee.Image(image))));
+}
+
+const msToDate = (value) => typeof value === 'number' ? new Date(value).toISOString().slice(0, 10) : value;
+
+/**
+ * Data-table builders for the supported ui.Chart factories, mirroring the Code
+ * Editor's arguments. Each returns the ee value to getInfo() and a function that
+ * turns its result into { columns, rows }.
+ */
+const CHART_TABLES = {
+  'image.series': (ee, [collection, region, reducer, scale, xProperty = 'system:time_start']) => ({
+    query: reducedImageFeatures(ee, collection, region, reducer, scale, image => image.get(xProperty)),
+    toTable: (info) => {
+      const features = info.features.map(f => f.properties).sort((a, b) => (a.__x > b.__x ? 1 : a.__x < b.__x ? -1 : 0));
+      const columns = [...new Set(features.flatMap(p => Object.keys(p)))].filter(k => k !== '__x');
+      const x = xProperty === 'system:time_start' ? msToDate : (v) => v;
+      return {
+        columns: [xProperty === 'system:time_start' ? 'date' : xProperty, ...columns],
+        rows: features.map(p => [x(p.__x), ...columns.map(c => p[c] === undefined ? null : p[c])])
+      };
+    }
+  }),
+
+  'image.doySeries': (ee, [collection, region, regionReducer, scale, yearReducer, startDay = 1, endDay = 366]) => {
+    const features = ee.FeatureCollection(reducedImageFeatures(ee, collection, region, regionReducer, scale,
+      image => ee.Date(image.get('system:time_start')).getRelative('day', 'year').add(1)))
+      .filter(ee.Filter.rangeContains('__x', startDay, endDay));
+    const columns = ee.Feature(features.first()).propertyNames().removeAll(['__x', 'system:index']);
+    // Across years, values of the same day of year are combined with yearReducer
+    const grouped = columns.map(column => features.reduceColumns({
+      reducer: (yearReducer || ee.Reducer.mean()).group({ groupField: 0, groupName: 'doy' }),
+      selectors: ee.List(['__x']).add(column)
+    }).get('groups'));
+    return {
+      query: ee.Dictionary({ columns, grouped }),
+      toTable: (info) => {
+        const byDoy = new Map();
+        info.columns.forEach((column, c) => info.grouped[c].forEach(group => {
+          const valueKey = Object.keys(group).find(k => k !== 'doy');
+          if (!byDoy.has(group.doy)) byDoy.set(group.doy, new Array(info.columns.length).fill(null));
+          byDoy.get(group.doy)[c] = group[valueKey];
+        }));
+        return {
+          columns: ['doy', ...info.columns],
+          rows: [...byDoy.keys()].sort((a, b) => a - b).map(doy => [doy, ...byDoy.get(doy)])
+        };
+      }
+    };
+  },
+
+  'image.histogram': (ee, [image, region, scale, maxBuckets, minBucketWidth, maxRaw, maxPixels]) => ({
+    query: ee.Image(image).reduceRegion({
+      reducer: ee.Reducer.histogram(maxBuckets, minBucketWidth, maxRaw),
+      geometry: chartRegion(ee, region),
+      scale,
+      maxPixels: maxPixels || 1e13
+    }),
+    toTable: (info) => {
+      const bands = Object.keys(info).filter(b => info[b] && Array.isArray(info[b].histogram));
+      const byBucket = new Map();
+      bands.forEach((band, b) => info[band].bucketMeans.forEach((mean, i) => {
+        if (!byBucket.has(mean)) byBucket.set(mean, new Array(bands.length).fill(null));
+        byBucket.get(mean)[b] = info[band].histogram[i];
+      }));
+      return {
+        columns: ['bucketMean', ...bands],
+        rows: [...byBucket.keys()].sort((a, b) => a - b).map(mean => [mean, ...byBucket.get(mean)])
+      };
+    }
+  }),
+
+  'feature.byFeature': (ee, [features, xProperty = 'system:index', yProperties]) => ({
+    query: ee.FeatureCollection(features).limit(CHART_EVALUATION_LIMITS.maxRows),
+    toTable: (info) => {
+      const list = info.features;
+      const x = (f) => xProperty === 'system:index' ? f.id : f.properties[xProperty];
+      const columns = yProperties !== undefined && yProperties !== null
+        ? [].concat(yProperties)
+        : Object.keys(list.length > 0 ? list[0].properties : {})
+          .filter(k => k !== xProperty && typeof list[0].properties[k] === 'number');
+      return {
+        columns: [xProperty, ...columns],
+        rows: list.map(f => [x(f), ...columns.map(c => f.properties[c] === undefined ? null : f.properties[c])])
+      };
+    }
+  })
+};
+
+const DEFAULT_CHART_TYPES = { 'image.histogram': 'ColumnChart', 'feature.byFeature': 'ColumnChart' };
+
+/**
+ * --charts: evaluates the data table of every captured ui.Chart (see
+ * CHART_TABLES) and writes it to <run dir>/charts/ as <n>-<title>.csv, .json
+ * and .svg. Offline and in dry runs only the chart definitions are written.
+ * A chart that fails to evaluate is reported but does not fail the run.
+ */
+async function writeChartOutputs(context) {
+  const { logger, ee } = context;
+  const live = !context.dryRun && !context.offline;
+  const dir = path.join(getRunOutputDir(context), 'charts');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const charts = [];
+  for (const [i, chart] of context.charts.entries()) {
+    const title = chart.options.title || chart.type;
+    const slug = String(title).replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'chart';
+    const base = path.join(dir, `${String(i + 1).padStart(2, '0')}-${slug}`);
+    const chartType = chart.chartType || chart.options.chartType || DEFAULT_CHART_TYPES[chart.type] || 'LineChart';
+    const entry = { index: i + 1, type: chart.type, title, chartType };
+    const spec = { type: chart.type, title, chartType, options: chart.options };
+
+    if (!CHART_TABLES[chart.type]) {
+      entry.skipped = `ui.Chart.${chart.type} is not supported`;
+    } else if (!live) {
+      spec.args = context.recorder ? context.recorder.serialize(chart.args) : null;
+      fs.writeFileSync(`${base}.json`, JSON.stringify(spec, null, 2) + '\n');
+      entry.files = [`${base}.json`];
+    } else {
+      let table;
+      try {
+        const { query, toTable } = CHART_TABLES[chart.type](ee, chart.args);
+        const info = await getInfoWithTimeout(query, CHART_EVALUATION_LIMITS.timeoutMs);
+        if (info.error) throw new Error(info.error);
+        table = toTable(info.value);
+      } catch (err) {
+        entry.error = err.message;
+        logger.warning(`Chart "${title}" (${chart.type}): ${err.message}`);
+      }
+      if (table) {
+        if (Array.isArray(chart.seriesNames)) {
+          chart.seriesNames.forEach((name, s) => { if (s + 1 < table.columns.length) table.columns[s + 1] = name; });
+        }
+        fs.writeFileSync(`${base}.json`, JSON.stringify({ ...spec, ...table }, null, 2) + '\n');
+        fs.writeFileSync(`${base}.csv`, toCsv(table));
+        fs.writeFileSync(`${base}.svg`, renderChartSvg(table, { ...chart.options, title, chartType }));
+        entry.rows = table.rows.length;
+        entry.files = ['json', 'csv', 'svg'].map(ext => `${base}.${ext}`);
+      }
+    }
+    charts.push(entry);
+    if (entry.skipped && config.verbose) logger.info(`  ${entry.skipped}`);
+  }
+
+  context.chartOutputs = { dir, evaluated: live, charts };
+  const written = charts.filter(c => c.files).length;
+  logger.info(`Charts: ${written} of ${charts.length} written to ${dir}` +
+    (live ? '' : Style.gray(' (definitions only; not evaluated offline)')));
+  return dir;
+}
+
+/**
+ * Structural diff of two JSON values. Returns up to `limit` human-readable
+ * differences, each prefixed with the JSON pointer where it occurs.
+ */
+function diffJson(expected, actual, limit = 20, segments = [], out = []) {
+  if (out.length >= limit) return out;
+  const at = jsonPointer(segments);
+  const te = jsonType(expected);
+  const ta = jsonType(actual);
+
+  if (te !== ta && !(['integer', 'number'].includes(te) && ['integer', 'number'].includes(ta))) {
+    out.push(`${at}: expected ${te} ${JSON.stringify(expected)}, got ${ta} ${JSON.stringify(actual)}`);
+  } else if (te === 'array') {
+    if (expected.length !== actual.length) {
+      out.push(`${at}: expected ${expected.length} item(s), got ${actual.length}`);
+    }
+    for (let i = 0; i < Math.min(expected.length, actual.length); i++) {
+      diffJson(expected[i], actual[i], limit, [...segments, i], out);
+    }
+  } else if (te === 'object') {
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      if (!(key in actual)) out.push(`${jsonPointer([...segments, key])}: missing`);
+      else if (!(key in expected)) out.push(`${jsonPointer([...segments, key])}: unexpected`);
+      else diffJson(expected[key], actual[key], limit, [...segments, key], out);
+      if (out.length >= limit) break;
+    }
+  } else if (expected !== actual) {
+    out.push(`${at}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+  return out;
+}
+
+/**
+ * Offline test mode: runs the caller end-to-end against the ee recorder (no
+ * credentials, no network), records every Export.* call and writes the
+ * resulting expression graph. With a golden file the graph is compared to it
+ * (or, with --update-golden, the golden file is rewritten).
+ */
+async function executeOffline(context, userScript, moduleRoot, sidecarData) {
+  const { logger } = context;
+
+  logger.section('Executing Experiment (offline ee recorder)');
+
+  context.recorder = createRecordingEE();
+  context.ee = context.recorder.ee;
+
+  const phaseStart = Date.now();
+  let sandbox;
+  try {
+    sandbox = executeCaller(context, userScript, moduleRoot, sidecarData);
+  } catch (err) {
+    logger.error('Runtime error:');
+    logger.error(formatRuntimeError(err, context));
+    return { success: false, offline: true, error: err.message };
+  }
+  context.phases.executeMs = Date.now() - phaseStart;
+
+  if (config.layers) {
+    await writeLayerOutputs(context, sandbox);
+  }
+  if (config.evaluatePrints) {
+    await writePrintOutputs(context);
+  }
+  if (config.charts) {
+    await writeChartOutputs(context);
+  }
+
+  const tasks = context.submittedTasks;
+  const { graph, graphPath } = writeRecordedGraph(context, tasks);
+
+  logger.section('Execution Complete');
+  logger.info(`Recorded ${tasks.length} export(s) and ${context.recorder.calls.length} ee call(s)`);
+  logger.info(`Expression graph: ${graphPath}`);
+
+  const result = { success: true, offline: true, tasksSubmitted: tasks.length, graph, graphPath };
+
+  const goldenPath = context.goldenPath;
+  if (goldenPath) {
+    if (config.updateGolden || !fs.existsSync(goldenPath)) {
+      fs.mkdirSync(path.dirname(path.resolve(goldenPath)), { recursive: true });
+      fs.writeFileSync(goldenPath, JSON.stringify(graph, null, 2) + '\n');
+      logger.success(`Golden snapshot written: ${goldenPath}`);
+    } else {
+      const differences = diffJson(JSON.parse(fs.readFileSync(goldenPath, 'utf8')), graph);
+      if (differences.length > 0) {
+        logger.error(`Expression graph differs from golden snapshot ${goldenPath}:`);
+        differences.forEach(d => logger.error(`  • ${d}`));
+        logger.info('Re-run with --update-golden if the change is intended');
+        result.success = false;
+        result.error = 'Expression graph differs from golden snapshot';
+        result.goldenDiff = differences;
+      } else {
+        logger.success(`Matches golden snapshot: ${goldenPath}`);
+      }
+    }
+  }
+
+  logger.info(Style.time(`Total time: ${logger.elapsed()}`));
+  return result;
+}
+
+async function runExperiment(userScript, moduleRoot, sidecarPath, options = {}) {
+  const context = createExperimentContext(sidecarPath, options);
+
+  let result;
+  try {
+    result = await executeExperiment(context, userScript, moduleRoot, sidecarPath);
+  } catch (err) {
+    context.logger.error(`Unexpected error: ${err.message}`);
+    result = { success: false, error: err.message };
+  }
+
+  try {
+    const manifestPath = writeRunManifest(context, userScript, result);
+    context.logger.info(`Run manifest: ${manifestPath}`);
+    result.manifest = manifestPath;
+  } catch (err) {
+    context.logger.warning(`Could not write run manifest: ${err.message}`);
+  }
+
+  return result;
+}
+
+async function executeExperiment(context, userScript, moduleRoot, sidecarPath) {
+  const { experimentName, logger } = context;
+
+  if (!config.noLog) {
+    logger.initLogFile(experimentName, context.runId);
+  }
+
+  logger.banner('BULC-D HEADLESS LAB RUNNER v11.0');
+
+  // --- Load and validate sidecar ---
+  logger.section('Loading Experiment Configuration');
+
+  let sidecarData;
+  try {
+    const loaded = loadSidecar(sidecarPath, config.set);
+    sidecarData = loaded.data;
+    context.sidecarSources = loaded.sources;
+    context.sidecarOverrides = loaded.overrides;
+    context.effectiveSidecarSha256 = hashContent(JSON.stringify(sidecarData));
+    logger.success(`Loaded sidecar: ${path.basename(sidecarPath)}`);
+    if (loaded.sources.length > 1) {
+      logger.info(`Extends: ${loaded.sources.slice(0, -1).map(src => path.relative(process.cwd(), src)).join(' → ')}`);
+    }
+    loaded.overrides.forEach(o => logger.info(`Override: ${o.path} = ${JSON.stringify(o.value)}`));
+  } catch (e) {
+    logger.error(`Failed to load sidecar: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+
+  // Validate
+  logger.section('Validating Parameters');
+  const validation = validateSidecar(sidecarData, sidecarPath);
+  context.validation = validation;
+
+  if (validation.errors.length > 0) {
+    logger.error('Validation failed with errors:');
+    validation.errors.forEach(e => logger.error(`  • ${e}`));
+    return { success: false, errors: validation.errors };
+  }
+
+  if (validation.warnings.length > 0) {
+    logger.warning('Validation warnings:');
+    validation.warnings.forEach(w => logger.warning(`  • ${w}`));
+  }
+
+  logger.success('Parameter validation passed');
+
+  // Show configuration summary
   if (config.verbose) {
     logger.table({
       'Caller Script': userScript,
@@ -773,104 +3063,245 @@ async function runExperiment(userScript, moduleRoot, sidecarPath) {
     }, 'Configuration Summary:');
   }
 
+  context.moduleLock = readModuleLock(moduleRoot);
+  if (context.moduleLock) {
+    const pinned = Object.entries(context.moduleLock.repos);
+    if (context.moduleLock.error) {
+      logger.warning(`Cannot read ${context.moduleLock.file}: ${context.moduleLock.error}`);
+    } else if (config.verbose) {
+      logger.info(`Module repos pinned by ${context.moduleLock.file}:`);
+      pinned.forEach(([repo, sha]) => logger.info(`  ${repo} @ ${String(sha).slice(0, 12)}`));
+    }
+  } else if (config.verbose) {
+    logger.info('No gee-modules.lock.json found; module versions are not recorded');
+  }
+
   // Check user script exists
   if (!fs.existsSync(userScript)) {
     logger.error(`Caller script not found: ${userScript}`);
     return { success: false, error: 'Caller script not found' };
   }
 
-  // Dry run stops here
-  if (config.dryRun) {
-    logger.section('Dry Run Complete');
-    logger.success('All validations passed. Ready for execution.');
-    return { success: true, dryRun: true };
+  context.callerName = path.basename(userScript);
+
+  // Deep dry run executes everything offline; a plain dry run stops here
+  if (context.dryRun && config.dryRunLevel === 'deep') {
+    return executeDeepDryRun(context, userScript, moduleRoot, sidecarData);
+  }
+
+  if (context.dryRun) {
+    logger.section('Dry Run Complete');
+    logger.success('All validations passed. Ready for execution.');
+    return { success: true, dryRun: true };
+  }
+
+  // Test mode: full execution against the offline ee recorder
+  if (context.offline) {
+    return executeOffline(context, userScript, moduleRoot, sidecarData);
+  }
+
+  // --- Authenticate and Execute ---
+  let phaseStart = Date.now();
+  if (context.injectedEE) {
+    // Caller-supplied client (e.g. a test double); it is responsible for its own initialization
+    context.ee = context.injectedEE;
+  } else {
+    logger.section('Initializing Google Earth Engine');
+
+    try {
+      await initializeEarthEngine(logger);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+    context.phases.initializeMs = Date.now() - phaseStart;
+    context.ee = loadEarthEngine();
+    logger.success('Earth Engine initialized');
+  }
+
+  logger.section('Executing Experiment');
+
+  const tasks = context.submittedTasks;
+
+  try {
+    phaseStart = Date.now();
+    const sandbox = executeCaller(context, userScript, moduleRoot, sidecarData);
+    context.phases.executeMs = Date.now() - phaseStart;
+    if (context.onSubmitted) context.onSubmitted(tasks);
+
+    if (config.layers) {
+      phaseStart = Date.now();
+      await writeLayerOutputs(context, sandbox);
+      context.phases.layersMs = Date.now() - phaseStart;
+    }
+
+    if (config.evaluatePrints) {
+      phaseStart = Date.now();
+      await writePrintOutputs(context);
+      context.phases.printsMs = Date.now() - phaseStart;
+    }
+
+    if (config.charts) {
+      phaseStart = Date.now();
+      await writeChartOutputs(context);
+      context.phases.chartsMs = Date.now() - phaseStart;
+    }
+
+    // Report results
+    logger.section('Execution Complete');
+
+    if (tasks.length > 0) {
+      logger.success(`Submitted ${tasks.length} task(s) to GEE:`);
+      tasks.forEach((t, i) => {
+        const note = t.skipped ? ' (skipped: asset exists)' : t.asset && t.asset.action === 'overwritten' ? ' (overwrote existing asset)' : '';
+        logger.info(`  ${i + 1}. ${t.type}: ${t.config.description || t.config.assetId || 'unnamed'}${Style.gray(note)}`);
+      });
+    } else {
+      logger.warning('No export tasks were submitted');
+    }
+  } catch (err) {
+    logger.error('Runtime error:');
+    logger.error(formatRuntimeError(err, context));
+    return { success: false, error: err.message };
   }
 
-  // --- Authenticate and Execute ---
-  logger.section('Initializing Google Earth Engine');
+  // --- Optionally wait for the exports to finish ---
+  if (config.wait && tasks.length > 0) {
+    logger.section('Monitoring Export Tasks');
 
-  return new Promise((resolve) => {
-    const keyPath = process.env.GEE_KEY_PATH || './service-account-key.json';
+    phaseStart = Date.now();
+    const monitor = await waitForTasks(tasks, logger, {
+      timeout: config.waitTimeout ? config.waitTimeout * 60000 : null
+    });
+    context.phases.waitMs = Date.now() - phaseStart;
+    monitor.tasks.forEach(t => {
+      const submitted = tasks.find(s => s.taskId === t.taskId);
+      if (submitted) submitted.state = t.state;
+    });
 
-    if (!fs.existsSync(keyPath)) {
-      logger.error(`Service account key not found: ${keyPath}`);
-      logger.info('Set GEE_KEY_PATH environment variable or place key at ./service-account-key.json');
-      resolve({ success: false, error: 'Service account key not found' });
-      return;
-    }
+    logger.info(Style.time(`Total time: ${logger.elapsed()}`));
 
-    const KEY = require(path.resolve(keyPath));
-    logger.info(`Authenticating as: ${KEY.client_email}`);
+    if (!monitor.allCompleted) {
+      const error = monitor.timedOut
+        ? 'Timed out waiting for export tasks'
+        : 'One or more export tasks did not complete';
+      logger.error(error);
+      return { success: false, error, tasksSubmitted: tasks.length, tasks: monitor.tasks };
+    }
 
-    ee.data.authenticateViaPrivateKey(KEY, () => {
-      logger.success('Authentication successful');
+    logger.success('All export tasks completed');
+    return { success: true, tasksSubmitted: tasks.length, tasks: monitor.tasks };
+  }
 
-      ee.initialize(null, null, () => {
-        logger.success('Earth Engine initialized');
+  logger.info(Style.time(`Total time: ${logger.elapsed()}`));
 
-        logger.section('Executing Experiment');
+  return { success: true, tasksSubmitted: tasks.length };
+}
 
-        try {
-          // Reconstruct geometries
-          sidecarData = reconstructGeometries(sidecarData);
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 11: BATCH EXECUTION
+// ═══════════════════════════════════════════════════════════════════════════════
 
-          // Create shared shims for print, Map, ui (used by modules)
-          const sharedShims = createSharedShims();
+/**
+ * Bounded worker pool: runs worker(item, index) over items with at most
+ * `limit` in flight. Results keep the input order regardless of finish order.
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
 
-          // Create sandbox and resolver with shared shims and parameter injection
-          const moduleResolver = createModuleResolver(moduleRoot, sharedShims, sidecarData);
-          const sandbox = createSandbox(sidecarData, moduleResolver, sharedShims);
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
 
-          // Read and execute caller script
-          const code = fs.readFileSync(userScript, 'utf8');
-          vm.createContext(sandbox);
+// State file of the batch in progress, for the interrupt message
+let activeBatchStateFile = null;
 
-          logger.info(`Executing: ${path.basename(userScript)}`);
-          vm.runInContext(code, sandbox);
+// Named after the directory and a short hash of its full path, so sweeps,
+// tilings and same-named directories elsewhere never share a state file
+function batchStatePath(experimentsDir) {
+  const dir = path.resolve(experimentsDir);
+  return path.join(config.outputDir, 'batches', `${path.basename(dir)}-${hashContent(dir).slice(0, 12)}.state.json`);
+}
 
-          // Report results
-          logger.section('Execution Complete');
+function loadBatchState(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
 
-          const tasks = sandbox.__submittedTasks;
-          if (tasks.length > 0) {
-            logger.success(`Submitted ${tasks.length} task(s) to GEE:`);
-            tasks.forEach((t, i) => {
-              logger.info(`  ${i + 1}. ${t.type}: ${t.config.description || t.config.assetId || 'unnamed'}`);
-            });
-          } else {
-            logger.warning('No export tasks were submitted');
-          }
+// Written to a temp file and renamed, so an interrupt never leaves half a file
+function saveBatchState(file, state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+}
 
-          logger.info(Style.time(`Total time: ${logger.elapsed()}`));
+/**
+ * Resumes an experiment whose exports were submitted before the batch was
+ * interrupted: checks (with --wait, waits for) the recorded tasks instead of
+ * running the caller again. Returns { rerun: true } if any task failed or was
+ * cancelled, so the experiment is run again from scratch.
+ */
+async function reattachExperiment(name, entry, logger) {
+  logger.info(`Reattaching ${name} to ${entry.tasks.length} submitted task(s)`);
 
-          resolve({ success: true, tasksSubmitted: tasks.length });
+  // Until the tasks can be checked the experiment stays "running", so the
+  // next --resume tries to reattach again instead of resubmitting
+  try {
+    await initializeEarthEngine(logger);
+  } catch (err) {
+    return { success: false, unchecked: true, error: err.message };
+  }
 
-        } catch (err) {
-          logger.error('Runtime error:');
-          logger.error(err.stack);
-          resolve({ success: false, error: err.message });
-        }
-      }, (err) => {
-        logger.error(`Failed to initialize EE: ${err}`);
-        resolve({ success: false, error: err });
-      });
-    }, (err) => {
-      logger.error(`Authentication failed: ${err}`);
-      resolve({ success: false, error: err });
+  const tasks = entry.tasks.filter(t => t.taskId).map(t => ({ taskId: t.taskId, type: t.type, config: { description: t.label } }));
+  let states;
+  if (config.wait) {
+    const monitor = await waitForTasks(tasks, logger, {
+      timeout: config.waitTimeout ? config.waitTimeout * 60000 : null
     });
+    states = monitor.tasks.map(t => ({ taskId: t.taskId, state: t.state }));
+  } else {
+    try {
+      const statuses = await getTaskStatuses(loadEarthEngine().data, tasks.map(t => t.taskId));
+      states = statuses.map(s => ({ taskId: s.id, state: s.state }));
+    } catch (err) {
+      return { success: false, unchecked: true, error: `Cannot read task status: ${err.message}` };
+    }
+  }
+  states.forEach(s => {
+    const saved = entry.tasks.find(t => t.taskId === s.taskId);
+    if (saved && s.state) saved.state = s.state;
   });
-}
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 8: BATCH EXECUTION
-// ═══════════════════════════════════════════════════════════════════════════════
+  const broken = entry.tasks.filter(t => t.state === 'FAILED' || t.state === 'CANCELLED');
+  if (broken.length > 0) {
+    logger.warning(`${name}: ${broken.length} task(s) ${broken.map(t => t.state).join('/')}; running it again`);
+    return { rerun: true };
+  }
+
+  const tasksSubmitted = entry.tasks.length;
+  if (config.wait && !entry.tasks.every(t => t.state === 'COMPLETED')) {
+    return { success: false, reattached: true, error: 'Reattached export tasks did not complete', tasksSubmitted };
+  }
+  logger.success(`${name}: ${entry.tasks.map(t => `${t.label} ${t.state || 'SUBMITTED'}`).join(', ')}`);
+  return { success: true, reattached: true, tasksSubmitted };
+}
 
 async function runBatch(userScript, moduleRoot, experimentsDir) {
   logger.banner('BATCH MODE ENABLED');
 
-  // Find all JSON files in the experiments directory
+  // Find all JSON files in the experiments directory (sorted for a stable order)
   const files = fs.readdirSync(experimentsDir)
     .filter(f => f.endsWith('.json'))
+    .sort()
     .map(f => path.join(experimentsDir, f));
 
   if (files.length === 0) {
@@ -878,26 +3309,134 @@ async function runBatch(userScript, moduleRoot, experimentsDir) {
     return;
   }
 
+  const parallel = Math.max(1, config.parallel);
+
   logger.info(`Found ${files.length} experiment(s) to run`);
   files.forEach((f, i) => logger.info(`  ${i + 1}. ${path.basename(f)}`));
+  if (parallel > 1) {
+    logger.info(`Running up to ${Math.min(parallel, files.length)} experiment(s) in parallel`);
+  }
+
+  // Progress is saved after every change so an interrupted batch can --resume.
+  // Dry and offline runs start no real tasks, so they keep no state
+  const stateFile = config.stateFile || batchStatePath(experimentsDir);
+  const persist = !config.dryRun && !config.offline;
+  const resume = config.resume && persist;
+  let state = null;
+  if (config.resume && !persist) {
+    logger.warning('--resume is ignored in dry-run and offline mode; running every experiment');
+  } else if (resume) {
+    state = loadBatchState(stateFile);
+    if (state) logger.info(`Resuming batch from ${stateFile}`);
+    else logger.warning(`No batch state at ${stateFile}; running every experiment`);
+  }
+  if (state && state.experimentsDir && path.resolve(state.experimentsDir) !== path.resolve(experimentsDir)) {
+    logger.error(`${stateFile} belongs to the batch in ${path.resolve(state.experimentsDir)}, not ${path.resolve(experimentsDir)}`);
+    activeBatchStateFile = null;
+    return;
+  }
+  state = state || {
+    stateVersion: 1,
+    caller: { path: userScript, sha256: hashFile(userScript) },
+    experimentsDir: path.resolve(experimentsDir),
+    createdAt: new Date().toISOString(),
+    experiments: {}
+  };
+  if (resume && state.caller && fs.existsSync(userScript) && state.caller.sha256 !== hashFile(userScript)) {
+    logger.warning('The caller script changed since this batch started');
+  }
+  files.forEach(f => {
+    const name = path.basename(f);
+    if (!state.experiments[name]) state.experiments[name] = { status: 'pending', tasks: [] };
+  });
+  const save = () => { if (persist) saveBatchState(stateFile, state); };
+  save();
+  activeBatchStateFile = persist ? stateFile : null;
+
+  const results = await runPool(files, parallel, async (file, i) => {
+    const name = path.basename(file);
+    const entry = state.experiments[name];
+    const sidecarSha256 = hashFile(file);
+
+    if (resume && entry.status !== 'pending' && entry.sidecarSha256 && entry.sidecarSha256 !== sidecarSha256) {
+      logger.warning(`${name} changed since the last attempt; running it again`);
+    } else if (resume && entry.status === 'succeeded') {
+      logger.info(`Skipping experiment ${i + 1}/${files.length}: ${name} (already succeeded)`);
+      return { file: name, success: true, skipped: true, tasksSubmitted: entry.tasks.length, imageAssetIds: entry.imageAssetIds || [] };
+    } else if (resume && entry.status === 'running' && entry.submitted && entry.tasks.length > 0) {
+      const reattached = await reattachExperiment(name, entry, logger);
+      if (!reattached.rerun) {
+        if (!reattached.unchecked) entry.status = reattached.success ? 'succeeded' : 'failed';
+        entry.error = reattached.error || null;
+        save();
+        return { file: name, ...reattached, imageAssetIds: entry.imageAssetIds || [] };
+      }
+    }
+
+    if (parallel > 1) {
+      logger.info(`Starting experiment ${i + 1}/${files.length}: ${name}`);
+    } else {
+      console.error('\n' + Style.yellow('═'.repeat(80)));
+      logger.info(`Running experiment ${i + 1}/${files.length}: ${name}`);
+      console.error(Style.yellow('═'.repeat(80)));
+    }
 
-  const results = [];
+    // Each experiment gets its own Logger (and, via runExperiment, its own
+    // module cache, sandbox and task list)
+    const prefix = parallel > 1 ? path.basename(file, '.json') : null;
+    Object.assign(entry, {
+      status: 'running',
+      sidecarSha256,
+      attempts: (entry.attempts || 0) + 1,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+      manifest: null,
+      submitted: false,
+      imageAssetIds: [],
+      tasks: []
+    });
+    save();
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
-    console.error('\n' + Style.yellow('═'.repeat(80)));
-    logger.info(`Running experiment ${i + 1}/${files.length}: ${path.basename(file)}`);
-    console.error(Style.yellow('═'.repeat(80)));
+    // An experiment interrupted before "submitted" may have started only
+    // some of its exports, so --resume runs it again rather than reattaching
+    const onTask = (task) => {
+      entry.tasks.push(task);
+      save();
+    };
+    // The image assets it wrote, under their final IDs (e.g. after an asset
+    // policy suffix), for what uses the results, such as a tile mosaic
+    const onSubmitted = (tasks) => {
+      entry.submitted = true;
+      entry.imageAssetIds = tasks.filter(t => t.type === 'image.toAsset').map(t => t.config.assetId);
+      save();
+    };
+    let result;
+    try {
+      result = await runExperiment(userScript, moduleRoot, file, { prefix, onTask, onSubmitted });
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
 
-    const result = await runExperiment(userScript, moduleRoot, file);
-    results.push({
-      file: path.basename(file),
-      ...result
+    (result.tasks || []).forEach(t => {
+      const saved = entry.tasks.find(s => s.taskId === t.taskId);
+      if (saved) saved.state = t.state;
+    });
+    Object.assign(entry, {
+      status: result.success ? 'succeeded' : 'failed',
+      finishedAt: new Date().toISOString(),
+      error: result.error || (result.errors ? result.errors.join('; ') : null),
+      manifest: result.manifest || null
     });
+    save();
 
-    // Clear module cache between experiments
-    moduleCache.clear();
-  }
+    if (parallel > 1) {
+      const status = result.success ? Style.green('done') : Style.red('failed');
+      logger.info(`Finished experiment ${i + 1}/${files.length}: ${name} (${status})`);
+    }
+
+    return { file: name, ...result, imageAssetIds: entry.imageAssetIds };
+  });
 
   // Summary
   logger.banner('BATCH SUMMARY');
@@ -908,45 +3447,653 @@ async function runBatch(userScript, moduleRoot, experimentsDir) {
   logger.info(`Total: ${results.length} | ${Style.green(`Passed: ${successful}`)} | ${Style.red(`Failed: ${failed}`)}`);
 
   results.forEach(r => {
-    if (r.success) {
+    if (r.skipped) {
+      logger.success(`${r.file} - skipped (succeeded in an earlier attempt)`);
+    } else if (r.reattached && r.success) {
+      logger.success(`${r.file} - reattached to ${r.tasksSubmitted || 0} tasks`);
+    } else if (r.success) {
       logger.success(`${r.file} - ${r.tasksSubmitted || 0} tasks`);
     } else {
       logger.error(`${r.file} - ${r.error || 'Unknown error'}`);
     }
   });
 
+  if (persist) logger.info(`Batch state: ${stateFile}`);
+  activeBatchStateFile = null;
   return results;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 9: MAIN ENTRY POINT
+// SECTION 12: PARAMETER SWEEPS AND TILING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Expands a sweep spec into concrete experiments.
+ *
+ * Spec format:
+ *   {
+ *     "name": "threshold-sweep",
+ *     "base": "BULCD-Params.json",                  // relative to the spec file
+ *     "grid": { "<param path>": [v1, v2, ...], ... } // cartesian product, or
+ *     "list": [ { "<param path>": value, ... }, ... ] // explicit variants
+ *   }
+ *
+ * Experiments are named <name>_001, <name>_002, ... in expansion order (the
+ * last grid key varies fastest), and each gets a unique
+ * exportParameters.assetId / description derived from that name.
+ */
+function expandSweep(specPath) {
+  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+
+  const sweepName = spec.name || path.basename(specPath, '.json');
+  if (!/^[A-Za-z0-9_-]+$/.test(sweepName)) {
+    throw new Error(`Sweep name "${sweepName}" may only contain letters, digits, "_" and "-"`);
+  }
+  if (!spec.base) {
+    throw new Error('Sweep spec needs a "base" sidecar path');
+  }
+  if (!!spec.grid === !!spec.list) {
+    throw new Error('Sweep spec needs exactly one of "grid" or "list"');
+  }
+
+  const basePath = path.resolve(path.dirname(specPath), spec.base);
+  const baseJson = JSON.stringify(resolveSidecarFile(basePath).data);
+
+  // Build the list of override sets
+  let variants;
+  if (spec.grid) {
+    const keys = Object.keys(spec.grid);
+    for (const key of keys) {
+      if (!Array.isArray(spec.grid[key]) || spec.grid[key].length === 0) {
+        throw new Error(`Sweep grid entry "${key}" must be a non-empty array of values`);
+      }
+    }
+    variants = keys.reduce((combos, key) =>
+      combos.flatMap(combo => spec.grid[key].map(value => ({ ...combo, [key]: value }))), [{}]);
+  } else {
+    if (!Array.isArray(spec.list) || spec.list.length === 0) {
+      throw new Error('Sweep "list" must be a non-empty array of override objects');
+    }
+    variants = spec.list;
+  }
+
+  const width = Math.max(3, String(variants.length).length);
+  const experiments = variants.map((overrides, i) => {
+    const name = `${sweepName}_${String(i + 1).padStart(width, '0')}`;
+    const sidecar = JSON.parse(baseJson);
+    const warnings = [];
+
+    for (const [paramPath, value] of Object.entries(overrides)) {
+      if (!setParamPath(sidecar, paramPath, value)) {
+        warnings.push(`${paramPath} is not in the base sidecar; added`);
+      }
+    }
+
+    // Unique export target per experiment unless the variant sets its own
+    if (sidecar.exportParameters) {
+      const ep = sidecar.exportParameters;
+      if (ep.assetId && !('exportParameters.assetId' in overrides)) ep.assetId = `${ep.assetId}_${name}`;
+      if (!('exportParameters.description' in overrides)) {
+        ep.description = `${ep.description || 'BULCD'}_${name}`.replace(/[^A-Za-z0-9.,:;_-]/g, '_').slice(0, 100);
+      }
+    }
+
+    sidecar._sweep = { name: sweepName, index: i + 1, spec: specPath, base: spec.base, overrides };
+    return { name, overrides, sidecar, warnings };
+  });
+
+  const assetIds = experiments.map(e => e.sidecar.exportParameters && e.sidecar.exportParameters.assetId).filter(Boolean);
+  const duplicate = assetIds.find((id, i) => assetIds.indexOf(id) !== i);
+  if (duplicate) {
+    throw new Error(`Sweep produces the same exportParameters.assetId more than once: ${duplicate}`);
+  }
+
+  return { name: sweepName, basePath, experiments };
+}
+
+/**
+ * Writes the expanded experiments as sidecar files under
+ * <output-dir>/<kind>/<name>/ (replacing any from a previous expansion)
+ * and returns that directory, ready for runBatch(). Tilings use kind "tiles".
+ */
+function materializeSweep(sweep, kind = 'sweeps') {
+  const dir = path.join(config.outputDir, kind, sweep.name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(f => fs.unlinkSync(path.join(dir, f)));
+
+  for (const experiment of sweep.experiments) {
+    fs.writeFileSync(path.join(dir, `${experiment.name}.json`), JSON.stringify(experiment.sidecar, null, 2));
+  }
+  return dir;
+}
+
+/**
+ * Prints the expanded grid with each variant's overrides, export target and
+ * validation status. Nothing is written or submitted.
+ */
+function listSweep(sweep) {
+  logger.banner(`SWEEP: ${sweep.name}`);
+  logger.info(`Base sidecar: ${sweep.basePath}`);
+  logger.info(`${sweep.experiments.length} experiment(s):`);
+
+  let invalid = 0;
+  for (const experiment of sweep.experiments) {
+    const { errors } = validateSidecar(experiment.sidecar, experiment.name);
+    const status = errors.length === 0 ? Style.green('valid') : Style.red(`${errors.length} error(s)`);
+    const overrides = Object.entries(experiment.overrides)
+      .map(([k, v]) => `${k}=${JSON.stringify(v)}`).join('  ');
+
+    console.error(`\n  ${Style.bold(experiment.name)}  [${status}]`);
+    console.error(`    ${Style.gray('overrides')} ${overrides}`);
+    if (experiment.sidecar.exportParameters) {
+      console.error(`    ${Style.gray('asset    ')} ${experiment.sidecar.exportParameters.assetId}`);
+    }
+    experiment.warnings.forEach(w => console.error(`    ${Style.warning(w)}`));
+    errors.forEach(e => console.error(`    ${Style.error(e)}`));
+    if (errors.length > 0) invalid++;
+  }
+
+  console.error('');
+  return invalid === 0;
+}
+
+async function runSweep(userScript, moduleRoot, specPath) {
+  const sweep = expandSweep(specPath);
+  const dir = materializeSweep(sweep);
+  logger.info(`Expanded sweep "${sweep.name}" into ${sweep.experiments.length} sidecar(s) in ${dir}`);
+  return runBatch(userScript, moduleRoot, dir);
+}
+
+function ringBounds(ring) {
+  const xs = ring.map(p => p[0]);
+  const ys = ring.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Reads the tiles of a tile index: a GeoJSON FeatureCollection (or a bare
+ * array of features) of Polygons or MultiPolygons. Tiles are named after
+ * properties.name, then the feature id, then their position.
+ */
+function readTileIndex(indexPath) {
+  const geojson = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const features = Array.isArray(geojson) ? geojson : geojson.features;
+  if (!Array.isArray(features) || features.length === 0) {
+    throw new Error(`Tile index ${indexPath} has no features`);
+  }
+
+  const names = new Set();
+  return features.map((feature, i) => {
+    const geometry = feature.geometry || {};
+    if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') {
+      throw new Error(`Tile index feature ${i + 1} is a ${geometry.type || 'feature without geometry'}; only Polygon and MultiPolygon tiles are supported`);
+    }
+    const label = (feature.properties && feature.properties.name) || feature.id || `t${String(i + 1).padStart(3, '0')}`;
+    const name = String(label).replace(/[^A-Za-z0-9_-]/g, '_');
+    if (names.has(name)) throw new Error(`Tile index has more than one tile named "${name}"`);
+    names.add(name);
+    return { name, polygons: geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates };
+  });
+}
+
+// The base sidecar's study area as a list of polygons, from
+// defaultStudyAreaCoordinates or a local defaultStudyArea source
+function studyAreaPolygons(ip) {
+  if (Array.isArray(ip.defaultStudyAreaCoordinates) && Array.isArray(ip.defaultStudyAreaCoordinates[0])) {
+    const polygons = closePolygons([ip.defaultStudyAreaCoordinates]);
+    const { errors } = checkPolygons(polygons);
+    if (errors.length > 0) throw new Error(`Invalid defaultStudyAreaCoordinates: ${errors.join('; ')}`);
+    return polygons;
+  }
+  if (ip.defaultStudyArea === undefined) {
+    throw new Error('The base sidecar has no defaultStudyAreaCoordinates or defaultStudyArea to tile');
+  }
+  const { spec, geometry, errors } = resolveStudyArea(ip.defaultStudyArea);
+  if (spec.source === 'table') {
+    throw new Error('A table study area cannot be cut into a grid locally; supply a "tileIndex" instead');
+  }
+  if (errors.length > 0) throw new Error(`Invalid defaultStudyArea: ${errors.join('; ')}`);
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+// A tile replaces the study area: a single polygon as coordinates, several as
+// an inline GeoJSON MultiPolygon
+function setTileStudyArea(ip, polygons, geodesic) {
+  delete ip.defaultStudyArea;
+  delete ip.defaultStudyAreaCoordinates;
+  delete ip.defaultStudyAreaGeodesic;
+  if (polygons.length === 1) {
+    ip.defaultStudyAreaCoordinates = polygons[0];
+    if (geodesic) ip.defaultStudyAreaGeodesic = true;
+  } else {
+    ip.defaultStudyArea = { geojson: { type: 'MultiPolygon', coordinates: polygons } };
+    if (geodesic) ip.defaultStudyArea.geodesic = true;
+  }
+}
+
+/**
+ * Expands a tiling spec into one experiment per tile of the study area.
+ *
+ * Spec format:
+ *   {
+ *     "name": "bc-tiles",
+ *     "base": "BULCD-Params.json",          // relative to the spec file
+ *     "grid": [4, 3],                       // columns, rows over the study area bbox, or
+ *     "tileIndex": "tiles.geojson",         // Polygon features, relative to the spec file
+ *     "collection": "projects/p/assets/bc", // optional ImageCollection for the tile exports
+ *     "mosaicAssetId": "projects/p/assets/bc_mosaic" // optional final mosaic
+ *   }
+ *
+ * Grid tiles are the study area clipped to each cell, holes included, and
+ * are named <name>_rNNcNN, row 01 being the northernmost. Cells outside the
+ * study area are dropped; a cell that cuts it into pieces gives a
+ * MultiPolygon tile. The study area may be defaultStudyAreaCoordinates or a
+ * local defaultStudyArea source (a table asset needs a tileIndex). Every tile
+ * must pass checkPolygons. Each tile's sidecar has the tile as its study area
+ * and its own export names: <collection>/<experiment> when a collection is
+ * given, otherwise the base assetId with the tile suffix.
+ */
+function expandTiles(specPath) {
+  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+
+  const tilingName = spec.name || path.basename(specPath, '.json');
+  if (!/^[A-Za-z0-9_-]+$/.test(tilingName)) {
+    throw new Error(`Tiling name "${tilingName}" may only contain letters, digits, "_" and "-"`);
+  }
+  if (!spec.base) {
+    throw new Error('Tiling spec needs a "base" sidecar path');
+  }
+  if (!!spec.grid === !!spec.tileIndex) {
+    throw new Error('Tiling spec needs exactly one of "grid" or "tileIndex"');
+  }
+
+  const basePath = path.resolve(path.dirname(specPath), spec.base);
+  const base = resolveSidecarFile(basePath).data;
+  const ip = base.inputParameters || {};
+  const studyAreaSpec = ip.defaultStudyArea;
+  const geodesic = studyAreaSpec && studyAreaSpec.geodesic !== undefined ? !!studyAreaSpec.geodesic : !!ip.defaultStudyAreaGeodesic;
+  const warnings = [];
+
+  let tiles;
+  if (spec.grid) {
+    const [cols, rows] = spec.grid;
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1 || spec.grid.length !== 2) {
+      throw new Error('Tiling "grid" must be [columns, rows] with positive integers');
+    }
+    const studyArea = studyAreaPolygons(ip);
+    if (geodesic) warnings.push('The study area is geodesic; grid cells are cut along straight lon/lat lines');
+
+    const [minX, minY, maxX, maxY] = ringBounds(studyArea.flatMap(rings => rings[0]));
+    const cellW = (maxX - minX) / cols;
+    const cellH = (maxY - minY) / rows;
+    tiles = [];
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const box = [
+          minX + c * cellW, maxY - (r + 1) * cellH,
+          c === cols - 1 ? maxX : minX + (c + 1) * cellW, r === 0 ? maxY : maxY - r * cellH
+        ];
+        const polygons = clipPolygonsToBox(studyArea, box);
+        const name = `r${String(r + 1).padStart(2, '0')}c${String(c + 1).padStart(2, '0')}`;
+        if (polygons.length > 0) tiles.push({ name, polygons });
+        else warnings.push(`Cell ${name} does not overlap the study area; skipped`);
+      }
+    }
+  } else {
+    tiles = readTileIndex(path.resolve(path.dirname(specPath), spec.tileIndex));
+  }
+
+  // Every tile becomes a study area of its own, so it has to pass the same checks
+  tiles.forEach(tile => {
+    const { errors, warnings: tileWarnings } = checkPolygons(tile.polygons);
+    if (errors.length > 0) throw new Error(`Tile ${tile.name}: ${errors.join('; ')}`);
+    tileWarnings.forEach(w => warnings.push(`Tile ${tile.name}: ${w}`));
+  });
+
+  const baseJson = JSON.stringify(base);
+  const experiments = tiles.map((tile, i) => {
+    const name = `${tilingName}_${tile.name}`;
+    const sidecar = JSON.parse(baseJson);
+    setTileStudyArea(sidecar.inputParameters, tile.polygons, geodesic);
+
+    const ep = sidecar.exportParameters;
+    if (ep) {
+      if (spec.collection) {
+        ep.assetId = `${spec.collection}/${name}`;
+        ep.parentCollection = true;
+      } else if (ep.assetId) {
+        ep.assetId = `${ep.assetId}_${tile.name}`;
+      }
+      ep.description = `${ep.description || 'BULCD'}_${tile.name}`.replace(/[^A-Za-z0-9.,:;_-]/g, '_').slice(0, 100);
+      (ep.destinations || []).forEach(destination => {
+        if (destination.assetId) destination.assetId = `${destination.assetId}_${tile.name}`;
+        if (destination.fileNamePrefix) destination.fileNamePrefix = `${destination.fileNamePrefix}_${tile.name}`;
+        if (destination.description) destination.description = `${destination.description}_${tile.name}`.slice(0, 100);
+      });
+    }
+
+    sidecar._tile = { name: tilingName, tile: tile.name, index: i + 1, spec: specPath, base: spec.base };
+    return { name, tile: tile.name, polygons: tile.polygons, sidecar, warnings: [] };
+  });
+
+  if (experiments.length === 0) {
+    throw new Error('Tiling produced no tiles that overlap the study area');
+  }
+
+  return {
+    name: tilingName,
+    basePath,
+    base,
+    region: tiles.flatMap(tile => tile.polygons),
+    geodesic,
+    exportParameters: base.exportParameters || {},
+    collection: spec.collection || null,
+    mosaicAssetId: spec.mosaicAssetId || null,
+    warnings,
+    experiments
+  };
+}
+
+/**
+ * Prints the tiles with their bounds, export target and validation status.
+ * Nothing is written or submitted.
+ */
+function listTiles(tiling) {
+  logger.banner(`TILING: ${tiling.name}`);
+  logger.info(`Base sidecar: ${tiling.basePath}`);
+  tiling.warnings.forEach(w => logger.warning(w));
+  logger.info(`${tiling.experiments.length} tile(s):`);
+
+  let invalid = 0;
+  for (const experiment of tiling.experiments) {
+    const { errors } = validateSidecar(experiment.sidecar, experiment.name);
+    const status = errors.length === 0 ? Style.green('valid') : Style.red(`${errors.length} error(s)`);
+    const bounds = ringBounds(experiment.polygons.flatMap(rings => rings[0]))
+      .map(v => Number(v.toFixed(5))).join(', ');
+
+    console.error(`\n  ${Style.bold(experiment.name)}  [${status}]`);
+    console.error(`    ${Style.gray('bounds   ')} ${bounds}`);
+    if (experiment.sidecar.exportParameters) {
+      console.error(`    ${Style.gray('asset    ')} ${experiment.sidecar.exportParameters.assetId}`);
+    }
+    errors.forEach(e => console.error(`    ${Style.error(e)}`));
+    if (errors.length > 0) invalid++;
+  }
+  if (tiling.mosaicAssetId) {
+    console.error(`\n  ${Style.gray('mosaic   ')} ${tiling.mosaicAssetId}`);
+  }
+
+  console.error('');
+  return invalid === 0;
+}
+
+/**
+ * Exports the mosaic of the finished tile images over the whole study area.
+ * The tiles must have completed, so this only runs after a --wait batch. The
+ * images are the ones each tile recorded exporting, so asset policy suffixes
+ * and destinations are followed. The export goes through the same pipeline
+ * as the caller's (asset policy, parent folders, provenance tags), gets a run
+ * manifest of its own, and is kept as "mosaic" in the tiling's batch state,
+ * so --resume skips a finished mosaic and reattaches to one still running.
+ */
+async function submitTileMosaic(tiling, results, userScript, moduleRoot, dir) {
+  logger.banner(`MOSAIC: ${tiling.mosaicAssetId}`);
+
+  if (config.dryRun || config.offline) {
+    logger.info(`Would mosaic ${tiling.experiments.length} tile(s) into ${tiling.mosaicAssetId}`);
+    return true;
+  }
+  if (!config.wait) {
+    logger.warning('The mosaic needs finished tile exports; re-run with --wait to submit it');
+    return true;
+  }
+  if (!results.every(r => r.success)) {
+    logger.error('Not every tile succeeded; the mosaic was not submitted');
+    return false;
+  }
+
+  const tileIds = results.flatMap(r => r.imageAssetIds || []);
+  if (tileIds.length === 0) {
+    logger.error('No tile recorded an image asset export; there is nothing to mosaic');
+    return false;
+  }
+
+  const name = `${tiling.name}_mosaic`;
+  const stateFile = config.stateFile || batchStatePath(dir);
+  const state = loadBatchState(stateFile) || { stateVersion: 1, experimentsDir: path.resolve(dir), experiments: {} };
+  const save = () => saveBatchState(stateFile, state);
+
+  // An earlier mosaic still stands only if no tile was run again since
+  const previous = state.mosaic;
+  if (config.resume && previous && results.every(r => r.skipped) &&
+      JSON.stringify(previous.sources) === JSON.stringify(tileIds)) {
+    if (previous.status === 'succeeded') {
+      logger.info(`Skipping ${name} (already succeeded)`);
+      return true;
+    }
+    if (previous.status === 'running' && previous.submitted && previous.tasks.length > 0) {
+      const reattached = await reattachExperiment(name, previous, logger);
+      if (!reattached.rerun) {
+        if (!reattached.unchecked) previous.status = reattached.success ? 'succeeded' : 'failed';
+        previous.error = reattached.error || null;
+        save();
+        return !!reattached.success;
+      }
+    }
+  }
+
+  const entry = {
+    status: 'running',
+    sources: tileIds,
+    submitted: false,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    manifest: null,
+    tasks: []
+  };
+  state.mosaic = entry;
+  save();
+  activeBatchStateFile = stateFile;
+
+  const context = createExperimentContext(tiling.basePath, {
+    name,
+    logger,
+    onTask: (task) => {
+      entry.tasks.push(task);
+      save();
+    }
+  });
+  context.effectiveSidecarSha256 = hashContent(JSON.stringify(tiling.base));
+  context.moduleLock = readModuleLock(moduleRoot);
+
+  let result;
+  try {
+    await initializeEarthEngine(logger);
+    const ee = context.ee = loadEarthEngine();
+    const exportConfig = {
+      image: ee.ImageCollection(tileIds.map(id => ee.Image(id))).mosaic(),
+      description: name,
+      assetId: tiling.mosaicAssetId,
+      region: ee.Geometry.MultiPolygon(tiling.region, null, tiling.geodesic),
+      scale: 30,
+      maxPixels: 1e13
+    };
+    applyExportGeometry(exportConfig, tiling.exportParameters);
+
+    createExportPipeline(context, tiling.base, () => null)
+      .submitExport('image.toAsset', 'image to asset', ee.batch.Export.image.toAsset, exportConfig);
+    entry.submitted = true;
+    save();
+
+    const tasks = context.submittedTasks.filter(t => t.taskId);
+    if (tasks.length === 0) {
+      result = { success: true, tasksSubmitted: 0 };
+    } else {
+      const monitor = await waitForTasks(tasks, logger, {
+        timeout: config.waitTimeout ? config.waitTimeout * 60000 : null
+      });
+      monitor.tasks.forEach(t => {
+        const submitted = tasks.find(s => s.taskId === t.taskId);
+        if (submitted) submitted.state = t.state;
+        const saved = entry.tasks.find(s => s.taskId === t.taskId);
+        if (saved) saved.state = t.state;
+      });
+      result = monitor.allCompleted
+        ? { success: true, tasksSubmitted: tasks.length }
+        : { success: false, tasksSubmitted: tasks.length, error: monitor.timedOut ? 'Timed out waiting for the mosaic export' : 'The mosaic export did not complete' };
+    }
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+  if (!result.success) logger.error(`Mosaic failed: ${result.error}`);
+
+  try {
+    entry.manifest = writeRunManifest(context, userScript, result);
+    logger.info(`Run manifest: ${entry.manifest}`);
+  } catch (err) {
+    logger.warning(`Could not write run manifest: ${err.message}`);
+  }
+  Object.assign(entry, {
+    status: result.success ? 'succeeded' : 'failed',
+    finishedAt: new Date().toISOString(),
+    error: result.error || null
+  });
+  save();
+  activeBatchStateFile = null;
+  return result.success;
+}
+
+async function runTiles(userScript, moduleRoot, specPath) {
+  const tiling = expandTiles(specPath);
+  tiling.warnings.forEach(w => logger.warning(w));
+  const dir = materializeSweep(tiling, 'tiles');
+  logger.info(`Expanded tiling "${tiling.name}" into ${tiling.experiments.length} sidecar(s) in ${dir}`);
+
+  const results = await runBatch(userScript, moduleRoot, dir);
+  if (!results || !tiling.mosaicAssetId) return results;
+
+  let mosaicOk;
+  try {
+    mosaicOk = await submitTileMosaic(tiling, results, userScript, moduleRoot, dir);
+  } catch (err) {
+    logger.error(`Mosaic failed: ${err.message}`);
+    mosaicOk = false;
+  }
+  return [...results, { file: `${tiling.name}_mosaic`, success: mosaicOk }];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 13: MAIN ENTRY POINT
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Export for testing
+// Export for testing. runExperiment(caller, modules, sidecar, options) accepts
+// { offline, golden, ee, dryRun, logger } so tests can run callers without GEE.
 module.exports = {
   dryRun: config.dryRun,
   runExperiment,
+  createRecordingEE,
+  diffJson,
   runBatch,
-  validateSidecar
+  runSweep,
+  expandSweep,
+  runTiles,
+  expandTiles,
+  loadSidecar,
+  validateSidecar,
+  waitForTasks
 };
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.error('\n' + Style.warning('Interrupted. Shutting down...'));
+  if (activeBatchStateFile) {
+    console.error(Style.info(`Batch progress is saved in ${activeBatchStateFile}; re-run with --resume to continue`));
+  }
   process.exit(130);
 });
 
 process.on('SIGTERM', () => {
   console.error('\n' + Style.warning('Terminated. Shutting down...'));
+  if (activeBatchStateFile) {
+    console.error(Style.info(`Batch progress is saved in ${activeBatchStateFile}; re-run with --resume to continue`));
+  }
   process.exit(143);
 });
 
 // Run if executed directly
 if (require.main === module) {
+  if (config.help) {
+    console.error(HELP_TEXT);
+    process.exit(0);
+  }
+
+  if (config.command === 'validate') {
+    process.exit(runValidateCommand(config.validateTargets) ? 0 : 1);
+  }
+
+  if (config.command === 'show') {
+    try {
+      const { data, sources, overrides } = loadSidecar(config.sidecarJson, config.set);
+      sources.forEach((src, i) => console.error(Style.gray(`${i === sources.length - 1 ? 'file   ' : 'extends'} ${path.relative(process.cwd(), src)}`)));
+      overrides.forEach(o => console.error(Style.gray(`set     ${o.path} = ${JSON.stringify(o.value)}`)));
+      console.log(JSON.stringify(data, null, 2));
+      process.exit(0);
+    } catch (err) {
+      console.error(Style.error(err.message));
+      process.exit(1);
+    }
+  }
+
+  if (config.command === 'list-sweep') {
+    try {
+      process.exit(listSweep(expandSweep(config.sidecarJson)) ? 0 : 1);
+    } catch (err) {
+      console.error(Style.error(`Invalid sweep spec: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (config.command === 'list-tiles') {
+    try {
+      process.exit(listTiles(expandTiles(config.sidecarJson)) ? 0 : 1);
+    } catch (err) {
+      console.error(Style.error(`Invalid tiling spec: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (!DRY_RUN_LEVELS.includes(config.dryRunLevel)) {
+    console.error(Style.error(`Unknown --dry-run level: ${config.dryRunLevel} (expected: ${DRY_RUN_LEVELS.join(', ')})`));
+    process.exit(1);
+  }
+
+  if (config.assetPolicy && !ASSET_POLICIES.includes(config.assetPolicy)) {
+    console.error(Style.error(`Unknown --asset-policy: ${config.assetPolicy} (expected: ${ASSET_POLICIES.join(', ')})`));
+    process.exit(1);
+  }
+
+  const unknownLayerActions = config.layerActions.filter(a => !LAYER_ACTIONS.includes(a));
+  if (unknownLayerActions.length > 0) {
+    console.error(Style.error(`Unknown --layers action(s): ${unknownLayerActions.join(', ')} (expected: ${LAYER_ACTIONS.join(', ')})`));
+    process.exit(1);
+  }
+
+  if (!config.userScript || !config.moduleRoot || !config.sidecarJson) {
+    console.error(Style.error('Missing required arguments.\n'));
+    console.error(HELP_TEXT);
+    process.exit(1);
+  }
+
   (async () => {
     try {
-      if (config.batch) {
-        await runBatch(config.userScript, config.moduleRoot, config.sidecarJson);
+      if (config.batch || config.sweep || config.tiles) {
+        const results = config.sweep
+          ? await runSweep(config.userScript, config.moduleRoot, config.sidecarJson)
+          : config.tiles
+            ? await runTiles(config.userScript, config.moduleRoot, config.sidecarJson)
+            : await runBatch(config.userScript, config.moduleRoot, config.sidecarJson);
+        process.exit(results && results.every(r => r.success) ? 0 : 1);
       } else {
         const result = await runExperiment(config.userScript, config.moduleRoot, config.sidecarJson);
         process.exit(result.success ? 0 : 1);
@@ -9,12 +9,17 @@
  *   node setup-gee-repos.js [options]
  *   node setup-gee-repos.js --user alemlakes
  *   node setup-gee-repos.js --repos "r-2903-Dev,BULC-D,CommonCode"
+ *   node setup-gee-repos.js --caller users/alemlakes/r-2909-BULC-Releases:BULC/BULC-Callers-Current/BULCD-Caller/BULCD-Caller-Current
  *   node setup-gee-repos.js --scan-only
+ *   node setup-gee-repos.js update [repo...]
+ *   node setup-gee-repos.js graph scripts_to_run/BULCD-Caller-Current.js
  */
 
 const { execSync, spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { scanFile, buildDependencyGraph, toDot } = require('./dependency-scanner');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // Configuration
@@ -26,6 +31,8 @@ const config = {
   scriptDir: __dirname,
   geeModulesDir: path.join(__dirname, 'gee_modules'),
   rawReposDir: path.join(__dirname, 'gee_repos_raw'),
+  lockFile: path.join(__dirname, 'gee-modules.lock.json'),
+  syncManifest: path.join(__dirname, 'gee_modules', '.sync-manifest.json'),
 
   // Default repositories to clone
   // Only repos needed for BULCD-Caller-Current from r-2909-BULC-Releases
@@ -36,7 +43,10 @@ const config = {
     { name: 'r-2902-Dev', target: 'r-2902-Dev' },                      // Analysis outputs
     { name: 'CommonCode', target: 'CommonCode' },                      // Water mask, utilities
     { name: 'CommonCode2', target: 'CommonCode2' },                    // Harmonics, gathering (transitive)
-  ]
+  ],
+
+  // Caller vendored when no --caller is given (repo-relative; the user is --user)
+  defaultCaller: 'r-2909-BULC-Releases:BULC/BULC-Callers-Current/BULCD-Caller/BULCD-Caller-Current'
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -79,9 +89,15 @@ function section(text) {
 function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
+    command: 'setup',   // 'setup' (check out pinned commits), 'update' (move the pins) or 'graph'
+    updateRepos: [],    // Repos to update; empty means all
+    graphCaller: null,  // Caller script for the graph command
+    graphOut: null,     // Output prefix for the graph command
+    callers: [],        // GEE paths of caller scripts to vendor (--caller, repeatable)
     user: config.geeUsername,
     repos: null,  // Will use defaults if null
     scanOnly: false,
+    force: false,       // Overwrite/delete locally edited files in gee_modules
     help: false,
     verbose: false,
   };
@@ -96,6 +112,10 @@ function parseArgs() {
       case '-r':
         options.repos = args[++i].split(',').map(r => r.trim());
         break;
+      case '--force':
+      case '-f':
+        options.force = true;
+        break;
       case '--scan-only':
         options.scanOnly = true;
         break;
@@ -107,6 +127,18 @@ function parseArgs() {
       case '-h':
         options.help = true;
         break;
+      case '--caller':
+      case '-c':
+        options.callers.push(args[++i]);
+        break;
+      case '--out':
+        options.graphOut = args[++i];
+        break;
+      default:
+        if (args[i] === 'update' && options.command === 'setup') options.command = 'update';
+        else if (args[i] === 'graph' && options.command === 'setup') options.command = 'graph';
+        else if (options.command === 'update' && !args[i].startsWith('-')) options.updateRepos.push(args[i]);
+        else if (options.command === 'graph' && !args[i].startsWith('-')) options.graphCaller = args[i];
     }
   }
 
@@ -169,32 +201,90 @@ function configureGitCredentials() {
 }
 
 /**
- * Clone a repo to the raw storage directory
+ * Local folder for a repo, relative to gee_repos_raw/ and gee_modules/.
+ * Repos of the main user keep the plain repo name; repos of other users go
+ * under @username/ so same-named repos from different users don't collide.
+ */
+function repoDirName(username, repoName) {
+  return username === config.geeUsername ? repoName : path.join(`@${username}`, repoName);
+}
+
+/**
+ * Clone a repo to the raw storage directory and check out `pin` (a commit
+ * SHA from the lockfile), or the latest origin/master when there is no pin.
+ * Returns the commit that ended up checked out.
  */
-function cloneRepoToRaw(repoName, username) {
+function cloneRepoToRaw(repoName, username, pin = null) {
   const repoUrl = `${config.geeBaseUrl}/users/${username}/${repoName}`;
-  const clonePath = path.join(config.rawReposDir, repoName);
+  const clonePath = path.join(config.rawReposDir, repoDirName(username, repoName));
 
-  console.log(Style.info(`Fetching: ${repoName}`));
+  console.log(Style.info(`Fetching: ${username}/${repoName}`));
 
-  fs.mkdirSync(config.rawReposDir, { recursive: true });
+  fs.mkdirSync(path.dirname(clonePath), { recursive: true });
 
   try {
     if (fs.existsSync(clonePath)) {
       console.log(Style.dim(`  Pulling latest changes...`));
       execSync(`git -C "${clonePath}" fetch --all`, { stdio: 'pipe' });
-      execSync(`git -C "${clonePath}" reset --hard origin/master`, { stdio: 'pipe' });
     } else {
       execSync(`git clone "${repoUrl}" "${clonePath}"`, { stdio: 'pipe' });
     }
-    console.log(Style.success(`Fetched: ${repoName}`));
-    return { success: true };
+    execSync(`git -C "${clonePath}" reset --hard ${pin || 'origin/master'}`, { stdio: 'pipe' });
+    const sha = gitOutput(clonePath, 'rev-parse HEAD');
+    console.log(Style.success(`Fetched: ${repoName} @ ${sha.slice(0, 12)}${pin ? ' (pinned)' : ''}`));
+    return { success: true, sha };
   } catch (err) {
     console.log(Style.error(`Failed to fetch ${repoName}: ${err.message}`));
     return { success: false, error: err.message };
   }
 }
 
+function gitOutput(repoDir, args) {
+  return execSync(`git -C "${repoDir}" ${args}`, { stdio: 'pipe', encoding: 'utf8' }).trim();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Lockfile
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * gee-modules.lock.json pins every repo to a commit:
+ *   { lockVersion, repos: { "<user>/<repo>": { user, repo, sha, updated } } }
+ * Setup checks out exactly these commits; `update` moves them.
+ */
+function readLockFile() {
+  if (!fs.existsSync(config.lockFile)) {
+    return { _comment: 'Commit pins for GEE module repos. Change with: node setup-gee-repos.js update', lockVersion: 1, repos: {} };
+  }
+  return JSON.parse(fs.readFileSync(config.lockFile, 'utf8'));
+}
+
+function writeLockFile(lock) {
+  const sorted = {};
+  for (const key of Object.keys(lock.repos).sort()) sorted[key] = lock.repos[key];
+  fs.writeFileSync(config.lockFile, JSON.stringify({ ...lock, repos: sorted }, null, 2) + '\n');
+  console.log(Style.success(`Updated: ${path.basename(config.lockFile)}`));
+}
+
+/**
+ * Print the files that differ between two commits of a raw repo.
+ */
+function showChangedFiles(repoDir, fromSha, toSha) {
+  const lines = gitOutput(repoDir, `diff --name-status ${fromSha} ${toSha}`).split('\n').filter(Boolean);
+  const colors = { A: Style.green, D: Style.red, M: Style.yellow };
+  const limit = 40;
+
+  console.log(Style.dim(`  ${fromSha.slice(0, 12)} → ${toSha.slice(0, 12)}: ${lines.length} file(s) changed`));
+  for (const line of lines.slice(0, limit)) {
+    const [status, ...files] = line.split('\t');
+    const color = colors[status[0]] || Style.cyan;
+    console.log(`    ${color(status.padEnd(4))} ${files.join(' → ')}`);
+  }
+  if (lines.length > limit) {
+    console.log(Style.dim(`    ... and ${lines.length - limit} more`));
+  }
+}
+
 /**
  * Resolve a GEE import path to a local file in raw repos
  */
@@ -205,9 +295,10 @@ function resolveGeeImport(importPath, username) {
   const internalPath = parts[1] || '';
   
   const repoName = repoPath.split('/').pop();
+  const owner = repoPath.split('/')[1] || username;
   
   // Try with and without .js extension
-  let localPath = path.join(config.rawReposDir, repoName, internalPath);
+  let localPath = path.join(config.rawReposDir, repoDirName(owner, repoName), internalPath);
   
   if (fs.existsSync(localPath + '.js')) {
     return localPath + '.js';
@@ -220,92 +311,242 @@ function resolveGeeImport(importPath, username) {
 }
 
 /**
- * Scan a file for GEE require() statements
+ * Scan a file for GEE require() statements: literal requires plus dynamic
+ * ones whose path folds to a constant (see dependency-scanner.js)
  */
 function scanFileForDependencies(filePath) {
-  const deps = new Set();
-  
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const requireRegex = /require\s*\(\s*['"]users\/([^'"]+)['"]\s*\)/g;
-    let match;
-    
-    while ((match = requireRegex.exec(content)) !== null) {
-      deps.add('users/' + match[1]);
-    }
+    const scan = scanFile(filePath);
+    const deps = [...scan.literal, ...scan.dynamic.filter(d => d.path)].map(d => d.path);
+    return Array.from(new Set(deps));
   } catch (e) {
     // Ignore read errors
+    return [];
   }
-  
-  return Array.from(deps);
 }
 
 /**
  * Recursively find all dependencies starting from a file
  */
 function findAllDependencies(startFile, username) {
-  const visited = new Set();
-  const allFiles = new Set();
-  const queue = [startFile];
-  
-  while (queue.length > 0) {
-    const currentFile = queue.shift();
-    
-    if (visited.has(currentFile)) continue;
-    visited.add(currentFile);
-    
-    if (!fs.existsSync(currentFile)) continue;
-    
-    allFiles.add(currentFile);
-    
-    const deps = scanFileForDependencies(currentFile);
-    
-    for (const dep of deps) {
-      const resolvedPath = resolveGeeImport(dep, username);
-      if (resolvedPath && !visited.has(resolvedPath)) {
-        queue.push(resolvedPath);
-      }
-    }
+  const graph = buildDependencyGraph(startFile, (dep) => resolveGeeImport(dep, username));
+
+  const missing = Object.values(graph.nodes).filter(n => n.missing);
+  for (const node of missing) {
+    console.log(Style.warning(`Not found in raw repos: ${node.id}`));
   }
-  
-  return Array.from(allFiles);
+  for (const dyn of graph.unresolvedDynamic) {
+    console.log(Style.warning(`Unresolved dynamic require in ${dyn.from}:${dyn.line}: require(${dyn.expression})`));
+  }
+
+  return Object.values(graph.nodes).filter(n => n.file).map(n => n.file);
 }
 
 /**
- * Copy only the needed files from raw repos to gee_modules
+ * Resolve a GEE import for the graph command: raw repos first, then gee_modules/
  */
-function copyNeededFiles(files, username) {
-  // Clean gee_modules directory
-  if (fs.existsSync(config.geeModulesDir)) {
-    fs.rmSync(config.geeModulesDir, { recursive: true, force: true });
+function resolveLocalImport(importPath) {
+  const raw = resolveGeeImport(importPath, config.geeUsername);
+  if (raw) return raw;
+
+  const [repoPath, internalPath = ''] = importPath.split(':');
+  const [, owner, repoName] = repoPath.split('/');
+  let localPath = path.join(config.geeModulesDir, repoDirName(owner, repoName), internalPath);
+  if (!localPath.endsWith('.js')) localPath += '.js';
+  return fs.existsSync(localPath) ? localPath : null;
+}
+
+/**
+ * Write the dependency graph of a caller as <prefix>.json and <prefix>.dot
+ */
+function writeDependencyGraph(callerPath, outPrefix) {
+  section('Dependency Graph');
+
+  if (!fs.existsSync(callerPath)) {
+    console.log(Style.error(`Caller not found: ${callerPath}`));
+    return false;
+  }
+
+  const graph = buildDependencyGraph(callerPath, resolveLocalImport);
+  for (const node of Object.values(graph.nodes)) {
+    if (node.file) node.file = path.relative(process.cwd(), node.file);
+  }
+
+  const prefix = outPrefix || path.join(config.scriptDir, 'dependency-graph', path.basename(callerPath, '.js'));
+  fs.mkdirSync(path.dirname(prefix), { recursive: true });
+  fs.writeFileSync(`${prefix}.json`, JSON.stringify(graph, null, 2) + '\n');
+  fs.writeFileSync(`${prefix}.dot`, toDot(graph));
+
+  const nodes = Object.values(graph.nodes);
+  const missing = nodes.filter(n => n.missing);
+  console.log(Style.success(`${nodes.length - 1} modules, ${graph.edges.length} requires`));
+  console.log(`  ${Style.cyan('•')} literal: ${graph.edges.filter(e => e.kind === 'literal').length}`);
+  console.log(`  ${Style.cyan('•')} dynamic (resolved): ${graph.edges.filter(e => e.kind === 'dynamic').length}`);
+  console.log(`  ${Style.cyan('•')} conditional: ${graph.edges.filter(e => e.conditional).length}`);
+  console.log(`  ${Style.cyan('•')} commented out: ${graph.commented.length}`);
+
+  for (const node of missing) {
+    console.log(Style.warning(`Missing: ${node.id}`));
+  }
+  for (const dyn of graph.unresolvedDynamic) {
+    console.log(Style.warning(`Unresolved dynamic require in ${dyn.from}:${dyn.line}: require(${dyn.expression})`));
+  }
+
+  console.log(Style.success(`Written: ${path.relative(process.cwd(), prefix)}.json, ${path.relative(process.cwd(), prefix)}.dot`));
+  console.log(Style.dim(`  Render with: dot -Tsvg ${path.relative(process.cwd(), prefix)}.dot -o graph.svg`));
+  return true;
+}
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function readSyncManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(config.syncManifest, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Repo folder of a path relative to gee_modules/ (or gee_repos_raw/)
+function repoOfRelPath(relPath) {
+  const segments = relPath.split(path.sep);
+  return segments[0].startsWith('@') ? path.join(segments[0], segments[1]) : segments[0];
+}
+
+// Remove directories left empty after deleting files, up to gee_modules/
+function pruneEmptyDirs(dir) {
+  while (dir.startsWith(config.geeModulesDir + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
   }
+}
+
+/**
+ * Sync the needed files from raw repos into gee_modules incrementally.
+ *
+ * gee_modules/.sync-manifest.json records the hash of every file as it was
+ * last synced. A file whose current hash differs from that was edited
+ * locally and is kept (not overwritten or deleted) unless `force` is set.
+ * Files that were never synced (added by hand) are left alone.
+ *
+ * @returns {{copiedCount: number, repos: string[], summary: Object<string, Object>}}
+ *   summary: repo -> { added, changed, removed, unchanged, kept: [relPath] }
+ */
+function copyNeededFiles(files, username, force = false) {
   fs.mkdirSync(config.geeModulesDir, { recursive: true });
-  
+
+  const previous = readSyncManifest();
+  const previousFiles = previous ? previous.files : {};
+  const synced = {};
+  const summary = {};
+  const tally = (repo) => summary[repo] || (summary[repo] = { added: 0, changed: 0, removed: 0, unchanged: 0, kept: [], handAdded: [] });
+
+  if (!previous && fs.readdirSync(config.geeModulesDir).length > 0) {
+    console.log(Style.warning('No sync manifest in gee_modules/; existing files cannot be checked for local edits and will be overwritten'));
+  }
+
+  // Locally edited = differs from what the last sync wrote
+  const isLocallyEdited = (relPath, currentHash) =>
+    previousFiles[relPath] !== undefined && previousFiles[relPath].sha256 !== currentHash;
+
+  // Added by hand = on disk but never written by a sync (only knowable with a manifest)
+  const isHandAdded = (relPath) => previous !== null && previousFiles[relPath] === undefined;
+
   let copiedCount = 0;
-  const copiedRepos = new Set();
-  
+
   for (const srcFile of files) {
     // Find which repo this file belongs to
     const relToRaw = path.relative(config.rawReposDir, srcFile);
-    const repoName = relToRaw.split(path.sep)[0];
+    const repoName = repoOfRelPath(relToRaw);
     const internalPath = relToRaw.substring(repoName.length + 1);
     
-    copiedRepos.add(repoName);
-    
     // Destination path (add .js if missing)
     let destPath = internalPath;
     if (!destPath.endsWith('.js')) {
       destPath = destPath + '.js';
     }
     
-    const destFile = path.join(config.geeModulesDir, repoName, destPath);
-    
+    const relPath = path.join(repoName, destPath);
+    const destFile = path.join(config.geeModulesDir, relPath);
+    const srcHash = hashFile(srcFile);
+    const counts = tally(repoName);
+    const manifestKey = relPath.split(path.sep).join('/');
+
+    if (!fs.existsSync(destFile)) {
+      counts.added++;
+    } else {
+      const destHash = hashFile(destFile);
+      if (destHash === srcHash) {
+        counts.unchanged++;
+        synced[manifestKey] = { sha256: srcHash, source: relToRaw.split(path.sep).join('/') };
+        continue;
+      }
+      if (isLocallyEdited(manifestKey, destHash) && !force) {
+        counts.kept.push(relPath);
+        synced[manifestKey] = previousFiles[manifestKey];
+        continue;
+      }
+      if (isHandAdded(manifestKey) && !force) {
+        counts.handAdded.push(relPath);
+        continue;
+      }
+      counts.changed++;
+    }
+
     fs.mkdirSync(path.dirname(destFile), { recursive: true });
     fs.copyFileSync(srcFile, destFile);
+    synced[manifestKey] = { sha256: srcHash, source: relToRaw.split(path.sep).join('/') };
     copiedCount++;
   }
-  
-  return { copiedCount, repos: Array.from(copiedRepos) };
+
+  // Files synced last time that are no longer reachable from any caller
+  for (const manifestKey of Object.keys(previousFiles)) {
+    if (synced[manifestKey]) continue;
+    const relPath = path.join(...manifestKey.split('/'));
+    const destFile = path.join(config.geeModulesDir, relPath);
+    if (!fs.existsSync(destFile)) continue;
+
+    const counts = tally(repoOfRelPath(relPath));
+    if (isLocallyEdited(manifestKey, hashFile(destFile)) && !force) {
+      counts.kept.push(relPath);
+      synced[manifestKey] = previousFiles[manifestKey];
+      continue;
+    }
+    fs.unlinkSync(destFile);
+    pruneEmptyDirs(path.dirname(destFile));
+    counts.removed++;
+  }
+
+  fs.writeFileSync(config.syncManifest, JSON.stringify({
+    _comment: 'Files written by setup-gee-repos.js and their hashes at sync time; used to detect local edits',
+    syncedAt: new Date().toISOString(),
+    files: synced
+  }, null, 2) + '\n');
+
+  return { copiedCount, repos: Object.keys(summary), summary };
+}
+
+/**
+ * Print the added/changed/removed counts of a sync, per repo
+ */
+function printSyncSummary(summary) {
+  for (const [repo, counts] of Object.entries(summary)) {
+    const parts = [
+      Style.green(`+${counts.added} added`),
+      Style.yellow(`~${counts.changed} changed`),
+      Style.red(`-${counts.removed} removed`),
+      Style.dim(`${counts.unchanged} unchanged`)
+    ];
+    console.log(`  ${Style.cyan('•')} ${repo}: ${parts.join(', ')}`);
+    for (const relPath of counts.kept) {
+      console.log(`    ${Style.yellow('⚠')} kept local edits: ${relPath} ${Style.dim('(--force to overwrite)')}`);
+    }
+    for (const relPath of counts.handAdded) {
+      console.log(`    ${Style.yellow('⚠')} kept hand-added file: ${relPath} ${Style.dim('(not in the sync manifest; --force to overwrite)')}`);
+    }
+  }
 }
 
 function findJsFiles(dir) {
@@ -393,15 +634,24 @@ function scanDependencies() {
 
   const jsFiles = findJsFiles(config.geeModulesDir);
   const deps = new Set();
-  const requireRegex = /require\s*\(\s*['"]users\/([^'"]+)['"]\s*\)/g;
+  const dynamic = [];
+  const commented = [];
 
   for (const file of jsFiles) {
-    const content = fs.readFileSync(file, 'utf8');
-    let match;
-
-    while ((match = requireRegex.exec(content)) !== null) {
-      deps.add('users/' + match[1]);
+    const rel = path.relative(config.geeModulesDir, file);
+    let scan;
+    try {
+      scan = scanFile(file);
+    } catch (e) {
+      continue;
     }
+
+    scan.literal.forEach(d => deps.add(d.path));
+    scan.dynamic.forEach(d => {
+      if (d.path) deps.add(d.path);
+      dynamic.push({ ...d, file: rel });
+    });
+    scan.commented.forEach(d => commented.push({ ...d, file: rel }));
   }
 
   const depList = Array.from(deps).sort();
@@ -410,15 +660,7 @@ function scanDependencies() {
     console.log(Style.cyan('\nFound dependencies:'));
 
     for (const dep of depList) {
-      // Extract repo name from path like "users/username/repo:file"
-      const parts = dep.split('/');
-      const repoWithFile = parts[2] || '';
-      const repoName = repoWithFile.split(':')[0];
-
-      // Check if we have this repo
-      const hasRepo = fs.existsSync(path.join(config.geeModulesDir, repoName));
-
-      if (hasRepo) {
+      if (resolveLocalImport(dep)) {
         console.log(`  ${Style.green('✓')} ${dep}`);
       } else {
         console.log(`  ${Style.yellow('⚠')} ${dep} ${Style.yellow('(MISSING)')}`);
@@ -428,6 +670,25 @@ function scanDependencies() {
     console.log(Style.info('No require() dependencies found'));
   }
 
+  if (dynamic.length > 0) {
+    console.log(Style.cyan('\nDynamic requires:'));
+    for (const d of dynamic) {
+      const where = Style.dim(`${d.file}:${d.line}`);
+      if (d.path) {
+        console.log(`  ${Style.green('✓')} require(${d.expression}) → ${d.path} ${where}`);
+      } else {
+        console.log(`  ${Style.yellow('⚠')} require(${d.expression}) ${Style.yellow('(UNRESOLVED)')} ${where}`);
+      }
+    }
+  }
+
+  if (commented.length > 0) {
+    console.log(Style.cyan('\nCommented-out requires (not followed):'));
+    for (const d of commented) {
+      console.log(`  ${Style.dim('//')} ${d.path} ${Style.dim(`${d.file}:${d.line}`)}`);
+    }
+  }
+
   return depList;
 }
 
@@ -435,6 +696,11 @@ function scanDependencies() {
 // Module Map Generation
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Write module-map.json: exact GEE require path -> file under gee_modules/.
+ * The runner resolves requires through this map; folders named @user/ hold
+ * repos of users other than `username`.
+ */
 function generateModuleMap(username) {
   section('Generating Module Map');
 
@@ -443,21 +709,26 @@ function generateModuleMap(username) {
     _comment: 'Maps GEE require paths to local files',
     _generated: new Date().toISOString(),
     username: username,
+    usernames: [],
     modules: {}
   };
 
   if (fs.existsSync(config.geeModulesDir)) {
     const jsFiles = findJsFiles(config.geeModulesDir);
+    const usernames = new Set();
 
     for (const file of jsFiles) {
-      const relPath = path.relative(config.geeModulesDir, file);
-      const parts = relPath.split(path.sep);
+      const parts = path.relative(config.geeModulesDir, file).split(path.sep);
+      const owner = parts[0].startsWith('@') ? parts.shift().slice(1) : username;
       const folderName = parts[0];
-      const filePath = parts.slice(1).join('/').replace('.js', '');
+      const filePath = parts.slice(1).join('/').replace(/\.js$/, '');
 
-      const geePath = `users/${username}/${folderName}:${filePath}`;
-      map.modules[geePath] = relPath;
+      const geePath = `users/${owner}/${folderName}:${filePath}`;
+      map.modules[geePath] = path.relative(config.geeModulesDir, file).split(path.sep).join('/');
+      usernames.add(owner);
     }
+
+    map.usernames = Array.from(usernames).sort();
   }
 
   fs.writeFileSync(mapFile, JSON.stringify(map, null, 2));
@@ -469,36 +740,47 @@ function generateModuleMap(username) {
 // Caller Script Management
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Parse the --caller values into { geePath, user, repo, internalPath, name }.
+ * `name` is the file name in scripts_to_run/ and depends only on the caller's
+ * own path: callers in the default caller's folder keep their file name,
+ * any other is named <repo>--<dir>--<file name>, so a caller is vendored
+ * (and graphed) under the same name whichever callers come with it.
+ */
+function parseCallers(callerPaths) {
+  const defaultFolder = path.posix.dirname(config.defaultCaller);
+  return callerPaths.map(geePath => {
+    const match = /^users\/([^/]+)\/([^:]+):(.+)$/.exec(geePath);
+    if (!match) {
+      throw new Error(`Invalid --caller "${geePath}" (expected users/<user>/<repo>:<path>)`);
+    }
+    const [, user, repo, internalPath] = match;
+    const bare = internalPath.replace(/\.js$/, '');
+    const name = user === config.geeUsername && `${repo}:${path.posix.dirname(bare)}` === defaultFolder
+      ? `${path.posix.basename(bare)}.js`
+      : `${repo}--${bare.split('/').join('--')}.js`;
+    return { geePath, user, repo, internalPath, name };
+  });
+}
+
 /**
  * Copy/update caller scripts from raw repos to scripts_to_run
- * Only copies BULCD-Caller-Current.js from r-2909-BULC-Releases
  */
-function updateCallerScripts() {
+function updateCallerScripts(callers) {
   const scriptsDir = path.join(config.scriptDir, 'scripts_to_run');
-  const callerSourceDir = path.join(config.rawReposDir, 'r-2909-BULC-Releases/BULC/BULC-Callers-Current/BULCD-Caller');
   
   // Ensure scripts_to_run directory exists
   fs.mkdirSync(scriptsDir, { recursive: true });
   
-  if (!fs.existsSync(callerSourceDir)) {
-    console.log(Style.warning(`Caller source not found: ${callerSourceDir}`));
-    return;
-  }
-  
-  // Copy BULCD-Caller-Current (with or without .js extension)
-  const callerFile = 'BULCD-Caller-Current';
-  let srcPath = path.join(callerSourceDir, callerFile + '.js');
-  if (!fs.existsSync(srcPath)) {
-    srcPath = path.join(callerSourceDir, callerFile);
-  }
-  
-  const destPath = path.join(scriptsDir, callerFile + '.js');
-  
-  if (fs.existsSync(srcPath)) {
-    fs.copyFileSync(srcPath, destPath);
-    console.log(Style.success(`Updated: scripts_to_run/${callerFile}.js`));
-  } else {
-    console.log(Style.warning(`Caller not found: ${srcPath}`));
+  for (const caller of callers) {
+    if (!caller.srcPath) {
+      console.log(Style.warning(`Caller not found: ${caller.geePath}`));
+      continue;
+    }
+
+    fs.copyFileSync(caller.srcPath, path.join(scriptsDir, caller.name));
+    console.log(Style.success(`Updated: scripts_to_run/${caller.name}`));
+    console.log(Style.dim(`  ← ${caller.geePath}`));
   }
 }
 
@@ -518,11 +800,34 @@ ${Style.bold('Usage:')}
 
 ${Style.bold('Options:')}
   -u, --user USERNAME    GEE username (default: ${config.geeUsername})
-  -r, --repos LIST       Comma-separated list of repos to clone
+  -r, --repos LIST       Comma-separated list of repos to clone (user/repo for
+                         repos owned by another user)
+  -c, --caller GEE_PATH  Caller script to vendor, as users/<user>/<repo>:<path>
+                         (repeatable; default: ${config.defaultCaller}).
+                         Dependencies of all callers are copied to gee_modules/
+  -f, --force            Overwrite (or delete) files in gee_modules/ that were
+                         edited locally since the last sync
   --scan-only            Only scan for dependencies, don't clone
   -v, --verbose          Enable verbose output
   -h, --help             Show this help
 
+${Style.bold('Commands:')}
+  update [REPO...]       Move the pins in gee-modules.lock.json to the latest
+                         origin/master (all repos, or only those named) and
+                         list the files that changed
+  graph CALLER           Write the require graph of CALLER (literal, dynamic
+                         and commented-out requires) as JSON and Graphviz DOT
+                         to dependency-graph/<caller>.json|.dot
+    --out PREFIX         Write PREFIX.json and PREFIX.dot instead
+
+${Style.bold('Local patches:')}
+  Hot-fixed modules go in overrides/users/<user>/<repo>/<path>.js; the runner
+  loads them instead of gee_modules/. Setup never reads or writes overrides/.
+
+${Style.bold('Version pinning:')}
+  Setup checks out the commits recorded in gee-modules.lock.json. Repos not
+  in the lockfile are fetched at origin/master and added to it.
+
 ${Style.bold('Examples:')}
   ${Style.dim('# Clone default repos for alemlakes')}
   node setup-gee-repos.js
@@ -533,6 +838,21 @@ ${Style.bold('Examples:')}
   ${Style.dim('# Clone specific repos')}
   node setup-gee-repos.js --repos "r-2903-Dev,CommonCode,BULC-Releases"
 
+  ${Style.dim('# Include a library repo from another user')}
+  node setup-gee-repos.js --repos "r-2903-Dev,CommonCode,otheruser/SharedLib"
+
+  ${Style.dim('# Vendor two callers and the union of their dependencies')}
+  node setup-gee-repos.js \\
+    --caller users/alemlakes/r-2909-BULC-Releases:BULC/BULC-Callers-Current/BULCD-Caller/BULCD-Caller-Current \\
+    --caller users/alemlakes/<repo>:<path/to>/BULCD-Caller-v51e
+
+  ${Style.dim('# Move every repo to its latest commit, or just one')}
+  node setup-gee-repos.js update
+  node setup-gee-repos.js update CommonCode
+
+  ${Style.dim('# Dependency graph of a caller')}
+  node setup-gee-repos.js graph scripts_to_run/BULCD-Caller-Current.js
+
   ${Style.dim('# Just scan existing repos for dependencies')}
   node setup-gee-repos.js --scan-only
 
@@ -552,6 +872,15 @@ ${Style.bold('Authentication:')}
   console.log(Style.info(`GEE Username: ${config.geeUsername}`));
   console.log(Style.info(`Script directory: ${config.scriptDir}`));
 
+  // Graph mode works on what is already on disk
+  if (options.command === 'graph') {
+    if (!options.graphCaller) {
+      console.log(Style.error('Usage: node setup-gee-repos.js graph <caller.js> [--out PREFIX]'));
+      process.exit(1);
+    }
+    process.exit(writeDependencyGraph(options.graphCaller, options.graphOut) ? 0 : 1);
+  }
+
   // Check prerequisites
   section('Checking Prerequisites');
 
@@ -577,12 +906,48 @@ ${Style.bold('Authentication:')}
   // Configure credentials
   configureGitCredentials();
 
-  // Determine repos to clone
+  // Determine callers and repos to clone
+  let callers;
+  try {
+    const callerPaths = options.callers.length > 0
+      ? options.callers
+      : [`users/${config.geeUsername}/${config.defaultCaller}`];
+    callers = parseCallers(callerPaths);
+  } catch (err) {
+    console.log(Style.error(err.message));
+    process.exit(1);
+  }
+
   let repos;
   if (options.repos) {
-    repos = options.repos.map(r => ({ name: r, target: r }));
+    repos = options.repos.map(r => {
+      const [user, name] = r.includes('/') ? r.split('/') : [config.geeUsername, r];
+      return { name, target: name, user };
+    });
   } else {
-    repos = config.defaultRepos;
+    repos = config.defaultRepos.map(r => ({ ...r, user: config.geeUsername }));
+  }
+
+  // A caller's own repo is always needed
+  for (const caller of callers) {
+    if (!repos.some(r => r.name === caller.repo && (r.user || config.geeUsername) === caller.user)) {
+      repos.push({ name: caller.repo, target: caller.repo, user: caller.user });
+    }
+  }
+
+  const lock = readLockFile();
+
+  // `update <repo>` must name a pinned or configured repo; a typo would otherwise be a silent no-op
+  if (options.command === 'update' && options.updateRepos.length > 0) {
+    const known = new Set(Object.values(lock.repos).map(entry => `${entry.user}/${entry.repo}`));
+    repos.forEach(r => known.add(`${r.user || config.geeUsername}/${r.name}`));
+    const unknown = options.updateRepos.filter(name =>
+      ![...known].some(key => key === name || key.split('/')[1] === name));
+    if (unknown.length > 0) {
+      console.log(Style.error(`Unknown repo(s) for update: ${unknown.join(', ')}`));
+      console.log(Style.info(`Known repos: ${[...known].sort().join(', ')}`));
+      process.exit(1);
+    }
   }
 
   // Step 1: Fetch all repos to raw storage
@@ -591,10 +956,31 @@ ${Style.bold('Authentication:')}
   console.log(Style.info(`Fetching ${repos.length} repositories to raw storage...`));
   console.log('');
 
+  const lockBefore = JSON.stringify(lock.repos);
   const fetchResults = [];
   for (const repo of repos) {
-    const result = cloneRepoToRaw(repo.name, config.geeUsername);
+    const user = repo.user || config.geeUsername;
+    const key = `${user}/${repo.name}`;
+    const previous = lock.repos[key] ? lock.repos[key].sha : null;
+    const updating = options.command === 'update' &&
+      (options.updateRepos.length === 0 || options.updateRepos.some(r => r === repo.name || r === key));
+
+    const result = cloneRepoToRaw(repo.name, user, updating ? null : previous);
     fetchResults.push({ ...repo, ...result });
+    if (!result.success) continue;
+
+    if (updating && previous && previous !== result.sha) {
+      showChangedFiles(path.join(config.rawReposDir, repoDirName(user, repo.name)), previous, result.sha);
+    } else if (updating && previous) {
+      console.log(Style.dim('  Already at the latest commit'));
+    }
+    if (result.sha !== previous) {
+      lock.repos[key] = { user, repo: repo.name, sha: result.sha, updated: new Date().toISOString() };
+    }
+  }
+
+  if (JSON.stringify(lock.repos) !== lockBefore) {
+    writeLockFile(lock);
   }
 
   const fetchSuccess = fetchResults.filter(r => r.success).length;
@@ -606,43 +992,50 @@ ${Style.bold('Authentication:')}
     console.log(Style.error(`Failed to fetch ${fetchFailed} repos`));
   }
 
-  // Step 2: Find the caller and its dependencies
+  // Step 2: Find the callers and the union of their dependencies
   section('Analyzing Dependencies');
 
-  // Try with and without .js extension
-  let callerPath = path.join(config.rawReposDir, 'r-2909-BULC-Releases/BULC/BULC-Callers-Current/BULCD-Caller/BULCD-Caller-Current.js');
-  if (!fs.existsSync(callerPath)) {
-    callerPath = path.join(config.rawReposDir, 'r-2909-BULC-Releases/BULC/BULC-Callers-Current/BULCD-Caller/BULCD-Caller-Current');
-  }
-  
-  if (!fs.existsSync(callerPath)) {
-    console.log(Style.error(`Caller not found in raw repos`));
-    process.exit(1);
+  const needed = new Set();
+  for (const caller of callers) {
+    // Resolves with and without .js extension
+    caller.srcPath = resolveGeeImport(caller.geePath, config.geeUsername);
+
+    if (!caller.srcPath) {
+      console.log(Style.error(`Caller not found in raw repos: ${caller.geePath}`));
+      process.exit(1);
+    }
+
+    console.log(Style.info(`Starting from: ${caller.name}`));
+    const files = findAllDependencies(caller.srcPath, config.geeUsername);
+    console.log(Style.dim(`  ${files.length} files`));
+    files.forEach(f => needed.add(f));
   }
 
-  console.log(Style.info(`Starting from: BULCD-Caller-Current.js`));
-  
-  const neededFiles = findAllDependencies(callerPath, config.geeUsername);
+  const neededFiles = Array.from(needed);
   console.log(Style.success(`Found ${neededFiles.length} files needed for execution`));
 
-  // Step 3: Copy only needed files to gee_modules
-  section('Copying Required Files');
+  // Step 3: Sync only needed files to gee_modules
+  section('Syncing Required Files');
 
-  const { copiedCount, repos: usedRepos } = copyNeededFiles(neededFiles, config.geeUsername);
+  const { copiedCount, repos: usedRepos, summary } = copyNeededFiles(neededFiles, config.geeUsername, options.force);
   
   console.log(Style.success(`Copied ${copiedCount} files to gee_modules/`));
-  console.log(Style.info(`From repos: ${usedRepos.join(', ')}`));
+  printSyncSummary(summary);
 
-  // Step 4: Copy caller to scripts_to_run
+  generateModuleMap(config.geeUsername);
+
+  // Step 4: Copy callers to scripts_to_run
   section('Updating Caller Scripts');
-  updateCallerScripts();
+  updateCallerScripts(callers);
 
   // Summary
   section('Summary');
 
   console.log('');
-  console.log(Style.success(`Caller: BULCD-Caller-Current.js`));
-  console.log(Style.success(`Dependencies: ${copiedCount} files from ${usedRepos.length} repos`));
+  for (const caller of callers) {
+    console.log(Style.success(`Caller: scripts_to_run/${caller.name}`));
+  }
+  console.log(Style.success(`Dependencies: ${neededFiles.length} files from ${usedRepos.length} repos`));
   console.log('');
   
   for (const repo of usedRepos) {
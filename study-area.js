@@ -0,0 +1,636 @@
+/**
+ * @file study-area.js
+ * @description Reads and checks the study area named by a sidecar
+ *
+ * inputParameters.defaultStudyArea can be given as:
+ *
+ *   "areas/bc.geojson"                                  GeoJSON file (Polygon, MultiPolygon,
+ *   { "geojson": "areas/bc.geojson", "filter": "..." }  Feature or FeatureCollection), or an
+ *                                                       inline GeoJSON geometry object
+ *   [-123.4, 54.4, -122.7, 54.8]                        bbox: west, south, east, north
+ *   { "bbox": [-123.4, 54.4, -122.7, 54.8] }
+ *   "POLYGON ((-123.4 54.4, ...))"                      WKT POLYGON or MULTIPOLYGON
+ *   { "wkt": "MULTIPOLYGON (...)" }
+ *   "projects/p/assets/regions"                         Earth Engine table asset; its features'
+ *   { "table": "projects/p/assets/regions", "filter": "..." }  geometries are unioned
+ *
+ * Objects may also set "geodesic". A filter is a property expression such as
+ *   REGION == 'Omineca' AND AREA_HA >= 1000 OR NAME == "Fort St. James"
+ * (==, !=, <, <=, >, >=; AND binds tighter than OR). It selects features of a
+ * FeatureCollection file locally and becomes an ee.Filter for tables.
+ *
+ * Local geometries are checked before they reach Earth Engine: every ring
+ * must be closed, in lon/lat range and free of self-intersections, no two
+ * rings may cross, holes must lie inside their exterior and polygons must
+ * not overlap. Rings wound the wrong way (exteriors should be counter-clockwise, holes
+ * clockwise, as in RFC 7946) are reported and reversed.
+ *
+ * clipPolygonsToBox() cuts a study area into grid tiles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES = ['geojson', 'bbox', 'wkt', 'table'];
+const WKT_PATTERN = /^\s*(SRID=\d+;\s*)?(MULTI)?POLYGON\b/i;
+const TABLE_PATTERN = /^(projects\/[^/\s]+\/assets|users\/[^/\s]+)\/\S+$/;
+const GEOJSON_FILE_PATTERN = /\.(geo)?json$/i;
+
+// ─── Filter expressions ──────────────────────────────────────────────────────
+
+const FILTER_OPERATORS = { '==': 'eq', '!=': 'neq', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+function tokenizeFilter(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(==|!=|<=|>=|<|>)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)(?![\w:.])|([A-Za-z_][\w:.-]*))/y;
+  let index = 0;
+  while (index < text.length) {
+    if (/^\s*$/.test(text.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) throw new Error(`Cannot read filter at "${text.slice(index).trim()}"`);
+    index = pattern.lastIndex;
+
+    if (match[1]) tokens.push({ kind: 'op', value: match[1] });
+    else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ kind: 'value', value: (match[2] !== undefined ? match[2] : match[3]).replace(/\\(.)/g, '$1') });
+    } else if (match[4]) tokens.push({ kind: 'value', value: Number(match[4]) });
+    else if (/^(AND|OR)$/i.test(match[5])) tokens.push({ kind: 'join', value: match[5].toUpperCase() });
+    else if (/^(true|false|null)$/.test(match[5])) tokens.push({ kind: 'value', value: JSON.parse(match[5]) });
+    else tokens.push({ kind: 'name', value: match[5] });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a filter expression into OR-of-ANDs form:
+ * [[{property, op, value}, ...], ...] where each inner list must all hold.
+ */
+function parseFilterExpression(text) {
+  const tokens = tokenizeFilter(String(text));
+  if (tokens.length === 0) throw new Error('Filter expression is empty');
+
+  const groups = [[]];
+  for (let i = 0; i < tokens.length; i += 4) {
+    const [name, op, value, join] = tokens.slice(i, i + 4);
+    if (!name || name.kind !== 'name' || !op || op.kind !== 'op' || !value || value.kind !== 'value') {
+      throw new Error(`Filter "${text}" must be comparisons like NAME == 'value' joined by AND / OR`);
+    }
+    groups[groups.length - 1].push({ property: name.value, op: op.value, value: value.value });
+    if (join && join.kind !== 'join') {
+      throw new Error(`Filter "${text}": expected AND / OR between comparisons`);
+    }
+    if (join && i + 4 === tokens.length) {
+      throw new Error(`Filter "${text}": no comparison after ${join.value}`);
+    }
+    if (join && join.value === 'OR') groups.push([]);
+  }
+  return groups;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+  }
+  if (actual === null || actual === undefined || typeof actual !== typeof expected) return false;
+  switch (op) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    default: return actual >= expected;
+  }
+}
+
+/** True when a feature's properties satisfy a parsed filter. */
+function matchesFilter(filter, properties) {
+  const props = properties || {};
+  return filter.some(group => group.every(c => compare(props[c.property], c.op, c.value)));
+}
+
+/** The parsed filter as an ee.Filter. */
+function toEeFilter(ee, filter) {
+  const combine = (kind, filters) => (filters.length === 1 ? filters[0] : ee.Filter[kind](...filters));
+  return combine('or', filter.map(group =>
+    combine('and', group.map(c => ee.Filter[FILTER_OPERATORS[c.op]](c.property, c.value)))));
+}
+
+// ─── Sources ─────────────────────────────────────────────────────────────────
+
+/**
+ * Normalizes any accepted form of defaultStudyArea to
+ * { source, geojson | bbox | wkt | table, filter, filterText, geodesic }.
+ * Throws when the value cannot be a study area.
+ */
+function parseStudyAreaSpec(value) {
+  let spec;
+  if (typeof value === 'string') {
+    if (WKT_PATTERN.test(value)) spec = { wkt: value };
+    else if (TABLE_PATTERN.test(value)) spec = { table: value };
+    else if (GEOJSON_FILE_PATTERN.test(value)) spec = { geojson: value };
+    else throw new Error(`"${value}" is not a WKT polygon, a .geojson/.json path or a table asset ID (projects/.../assets/... or users/...)`);
+  } else if (Array.isArray(value)) {
+    spec = { bbox: value };
+  } else if (value && typeof value === 'object') {
+    spec = value;
+  } else {
+    throw new Error('must be a path, WKT string, bbox array or source object');
+  }
+
+  const given = SOURCES.filter(key => spec[key] !== undefined);
+  if (given.length !== 1) {
+    throw new Error(`needs exactly one of ${SOURCES.map(s => `"${s}"`).join(', ')} (got ${given.length === 0 ? 'none' : given.join(', ')})`);
+  }
+  const source = given[0];
+  const parsed = { source, [source]: spec[source], filter: null, filterText: null, geodesic: spec.geodesic };
+
+  if (spec.filter !== undefined) {
+    if (source !== 'geojson' && source !== 'table') {
+      throw new Error(`"filter" applies to geojson and table sources, not ${source}`);
+    }
+    parsed.filterText = spec.filter;
+    parsed.filter = parseFilterExpression(spec.filter);
+  }
+
+  if (source === 'bbox') {
+    const bbox = spec.bbox;
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+      throw new Error('bbox must be [west, south, east, north]');
+    }
+    const [west, south, east, north] = bbox;
+    if (west < -180 || east > 180 || south < -90 || north > 90) {
+      throw new Error(`bbox [${bbox.join(', ')}] is outside lon [-180, 180] / lat [-90, 90]`);
+    }
+    if (!(west < east) || !(south < north)) {
+      throw new Error(`bbox [${bbox.join(', ')}] must have west < east and south < north`);
+    }
+  }
+  if (source === 'table' && (typeof spec.table !== 'string' || !TABLE_PATTERN.test(spec.table))) {
+    throw new Error(`table "${spec.table}" is not an asset ID (projects/.../assets/... or users/...)`);
+  }
+  if (source === 'geojson' && typeof spec.geojson !== 'string' && (!spec.geojson || typeof spec.geojson !== 'object')) {
+    throw new Error('geojson must be a file path or a GeoJSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Makes a GeoJSON file path in defaultStudyArea absolute, relative to
+ * `baseDir` (the directory of the sidecar that names it). Other values are
+ * returned unchanged.
+ */
+function resolveStudyAreaPath(value, baseDir) {
+  if (typeof value === 'string' && !WKT_PATTERN.test(value) && !TABLE_PATTERN.test(value) && GEOJSON_FILE_PATTERN.test(value)) {
+    return path.resolve(baseDir, value);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.geojson === 'string') {
+    return { ...value, geojson: path.resolve(baseDir, value.geojson) };
+  }
+  return value;
+}
+
+// Polygons (lists of rings) of a GeoJSON geometry
+function geometryPolygons(geometry, where) {
+  if (!geometry || typeof geometry !== 'object') throw new Error(`${where} has no geometry`);
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  throw new Error(`${where} is a ${geometry.type}; only Polygon and MultiPolygon are supported`);
+}
+
+function readGeoJson(spec) {
+  let geojson = spec.geojson;
+  if (typeof geojson === 'string') {
+    try {
+      geojson = JSON.parse(fs.readFileSync(geojson, 'utf8'));
+    } catch (e) {
+      throw new Error(`cannot read ${spec.geojson}: ${e.message}`);
+    }
+  }
+
+  let features;
+  if (geojson.type === 'FeatureCollection') features = geojson.features || [];
+  else if (geojson.type === 'Feature') features = [geojson];
+  else if (spec.filter) throw new Error('"filter" needs a Feature or FeatureCollection');
+  else return geometryPolygons(geojson, 'GeoJSON');
+
+  const selected = spec.filter ? features.filter(f => matchesFilter(spec.filter, f.properties)) : features;
+  if (selected.length === 0) {
+    throw new Error(spec.filter ? `no feature matches filter "${spec.filterText}"` : 'the FeatureCollection has no features');
+  }
+  return selected.flatMap(f => geometryPolygons(f.geometry, `feature ${features.indexOf(f) + 1}`));
+}
+
+// ─── WKT ─────────────────────────────────────────────────────────────────────
+
+/** Parses a WKT POLYGON or MULTIPOLYGON into a list of polygons. */
+function parseWkt(text) {
+  const tokens = String(text).replace(/^\s*SRID=\d+;/i, '').match(/[A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),]|\S/g) || [];
+  let index = 0;
+  const peek = () => tokens[index];
+  const expect = (token) => {
+    if (tokens[index] !== token) throw new Error(`Invalid WKT: expected "${token}" but found "${tokens[index] || 'end of text'}"`);
+    index++;
+  };
+  const list = (item) => {
+    expect('(');
+    const items = [item()];
+    while (peek() === ',') { index++; items.push(item()); }
+    expect(')');
+    return items;
+  };
+  const position = () => {
+    const numbers = [];
+    while (peek() !== undefined && /^[-+.\d]/.test(peek())) numbers.push(Number(tokens[index++]));
+    if (numbers.length < 2 || numbers.length > 4) throw new Error(`Invalid WKT: position with ${numbers.length} number(s)`);
+    return numbers.slice(0, 2);
+  };
+  const polygon = () => list(() => list(position));
+
+  const type = (tokens[index++] || '').toUpperCase();
+  if (type !== 'POLYGON' && type !== 'MULTIPOLYGON') throw new Error(`Invalid WKT: ${type || 'empty text'} is not a POLYGON or MULTIPOLYGON`);
+  if (/^(Z|M|ZM)$/i.test(peek() || '')) index++;
+  if (/^EMPTY$/i.test(peek() || '')) throw new Error('WKT geometry is EMPTY');
+
+  const polygons = type === 'POLYGON' ? [polygon()] : list(polygon);
+  if (index !== tokens.length) throw new Error(`Invalid WKT: unexpected "${tokens[index]}" after the geometry`);
+  return polygons;
+}
+
+// ─── Geometry checks ─────────────────────────────────────────────────────────
+
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+}
+
+function orientation(a, b, c) {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return value > 0 ? 1 : value < 0 ? -1 : 0;
+}
+
+function onSegment(a, b, p) {
+  return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+         Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+         (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+}
+
+/**
+ * Returns the first pair of non-adjacent edges of a closed ring that touch
+ * or cross, as [i, j] edge indices, or null. Edges are swept in order of
+ * their west end so only edges overlapping in longitude are compared.
+ */
+function findSelfIntersection(ring) {
+  const points = ring.filter((p, i) => i === 0 || p[0] !== ring[i - 1][0] || p[1] !== ring[i - 1][1]);
+  const count = points.length - 1;
+  const edges = Array.from({ length: count }, (_, i) => ({
+    i, a: points[i], b: points[i + 1],
+    minX: Math.min(points[i][0], points[i + 1][0]), maxX: Math.max(points[i][0], points[i + 1][0])
+  })).sort((e, f) => e.minX - f.minX);
+
+  const active = [];
+  for (const edge of edges) {
+    for (let k = active.length - 1; k >= 0; k--) {
+      if (active[k].maxX < edge.minX) active.splice(k, 1);
+    }
+    for (const other of active) {
+      const gap = Math.abs(edge.i - other.i);
+      if (gap === 1 || gap === count - 1) continue;
+      if (segmentsIntersect(edge.a, edge.b, other.a, other.b)) {
+        return [Math.min(edge.i, other.i), Math.max(edge.i, other.i)];
+      }
+    }
+    active.push(edge);
+  }
+  return null;
+}
+
+// Even-odd test against a closed ring; points on its boundary may go either way
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+const onRing = (point, ring) => ring.some((a, i) =>
+  i < ring.length - 1 && orientation(a, ring[i + 1], point) === 0 && onSegment(a, ring[i + 1], point));
+
+// Whether ring a lies inside ring b, given that no edges of the two cross: the
+// first vertex of a not on b's boundary decides (a ring on b entirely counts)
+function ringInside(a, b) {
+  const vertex = a.find(p => !onRing(p, b));
+  return vertex ? pointInRing(vertex, b) : true;
+}
+
+function boundsOverlap(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+/**
+ * Returns the first pair of edges from different rings that properly cross
+ * (their interiors meet at one point), as [ring index, ring index], or null.
+ * Rings that only touch, at a vertex or along a shared stretch, pass. Edges
+ * are swept by their west end as in findSelfIntersection.
+ */
+function findRingCrossing(rings) {
+  const edges = rings.flatMap((ring, r) => ring.slice(0, -1).map((a, i) => ({
+    r, a, b: ring[i + 1], minX: Math.min(a[0], ring[i + 1][0]), maxX: Math.max(a[0], ring[i + 1][0])
+  }))).sort((e, f) => e.minX - f.minX);
+
+  const active = [];
+  for (const edge of edges) {
+    for (let k = active.length - 1; k >= 0; k--) {
+      if (active[k].maxX < edge.minX) active.splice(k, 1);
+    }
+    for (const other of active) {
+      if (other.r === edge.r) continue;
+      const o1 = orientation(edge.a, edge.b, other.a);
+      const o2 = orientation(edge.a, edge.b, other.b);
+      const o3 = orientation(other.a, other.b, edge.a);
+      const o4 = orientation(other.a, other.b, edge.b);
+      if (o1 * o2 < 0 && o3 * o4 < 0) return [Math.min(edge.r, other.r), Math.max(edge.r, other.r)];
+    }
+    active.push(edge);
+  }
+  return null;
+}
+
+/**
+ * Checks how the rings of valid polygons sit against each other: no two rings
+ * cross, every hole lies inside its exterior and outside the other holes, and
+ * no polygon overlaps another (one inside a hole of another is fine).
+ */
+function checkRingLayout(polygons, errors) {
+  const label = (p) => polygons.length > 1 ? `polygon ${p + 1}, ` : '';
+  const rings = polygons.flatMap((polygon, p) => polygon.map((ring, r) => ({ p, r, ring, bounds: [
+    Math.min(...ring.map(q => q[0])), Math.min(...ring.map(q => q[1])),
+    Math.max(...ring.map(q => q[0])), Math.max(...ring.map(q => q[1]))
+  ] })));
+
+  const crossing = findRingCrossing(rings.map(e => e.ring));
+  if (crossing) {
+    const [a, b] = crossing.map(i => rings[i]);
+    errors.push(a.p === b.p
+      ? `${label(a.p)}rings ${a.r + 1} and ${b.r + 1} cross`
+      : `polygons ${a.p + 1} and ${b.p + 1} overlap (their rings cross)`);
+    return;
+  }
+
+  polygons.forEach((polygon, p) => {
+    const [exterior, ...holes] = polygon;
+    holes.forEach((hole, h) => {
+      if (!ringInside(hole, exterior)) {
+        errors.push(`${label(p)}ring ${h + 2}: hole lies outside the exterior ring`);
+      }
+      holes.slice(h + 1).forEach((other, k) => {
+        if (ringInside(other, hole) || ringInside(hole, other)) {
+          errors.push(`${label(p)}rings ${h + 2} and ${h + k + 3}: holes overlap`);
+        }
+      });
+    });
+  });
+
+  // A part inside another is fine only within one of that part's holes
+  const exteriors = rings.filter(e => e.r === 0);
+  exteriors.forEach((a, i) => exteriors.slice(i + 1).forEach(b => {
+    if (!boundsOverlap(a.bounds, b.bounds)) return;
+    const within = (inner, outer) => ringInside(inner.ring, outer.ring) &&
+      !polygons[outer.p].slice(1).some(hole => ringInside(inner.ring, hole));
+    if (within(a, b) || within(b, a)) {
+      errors.push(`polygons ${a.p + 1} and ${b.p + 1} overlap`);
+    }
+  }));
+}
+
+/**
+ * Checks every ring of a list of polygons. Errors: fewer than 4 positions,
+ * not closed, out of lon/lat range, self-intersecting; then, once every ring
+ * passes, rings that cross, holes outside their exterior or overlapping each
+ * other, and overlapping polygons. Warnings: rings wound the wrong way, which
+ * orientPolygons() reverses.
+ */
+function checkPolygons(polygons) {
+  const errors = [];
+  const warnings = [];
+
+  polygons.forEach((rings, p) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      errors.push(`polygon ${p + 1}: has no rings`);
+      return;
+    }
+    rings.forEach((ring, r) => {
+      const where = `${polygons.length > 1 ? `polygon ${p + 1}, ` : ''}ring ${r + 1}`;
+      if (!Array.isArray(ring) || !ring.every(pos => Array.isArray(pos) && Number.isFinite(pos[0]) && Number.isFinite(pos[1]))) {
+        errors.push(`${where}: positions must be [lon, lat] number pairs`);
+        return;
+      }
+      if (ring.length < 4) {
+        errors.push(`${where}: needs at least 4 positions (got ${ring.length})`);
+        return;
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        errors.push(`${where}: is not closed (first position [${first}] differs from last [${last}])`);
+        return;
+      }
+      const outside = ring.find(pos => pos[0] < -180 || pos[0] > 180 || pos[1] < -90 || pos[1] > 90);
+      if (outside) {
+        errors.push(`${where}: [${outside[0]}, ${outside[1]}] is outside lon [-180, 180] / lat [-90, 90]`);
+      }
+      const crossing = findSelfIntersection(ring);
+      if (crossing) {
+        errors.push(`${where}: self-intersects (edges ${crossing[0] + 1} and ${crossing[1] + 1} touch or cross)`);
+        return;
+      }
+      const area = signedArea(ring);
+      if (area === 0) {
+        errors.push(`${where}: has zero area`);
+      } else if ((r === 0) !== (area > 0)) {
+        warnings.push(`${where}: is wound ${area > 0 ? 'counter-clockwise' : 'clockwise'}; ${r === 0 ? 'exterior rings' : 'holes'} should be ${r === 0 ? 'counter-clockwise' : 'clockwise'} and it will be reversed`);
+      }
+    });
+  });
+  if (errors.length === 0) checkRingLayout(polygons, errors);
+  return { errors, warnings };
+}
+
+/**
+ * Copies the polygons with every ring closed, as ee.Geometry.Polygon closes
+ * the open rings of legacy defaultStudyAreaCoordinates.
+ */
+function closePolygons(polygons) {
+  return polygons.map(rings => rings.map(ring => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+  }));
+}
+
+/** Copies the polygons with exteriors counter-clockwise and holes clockwise. */
+function orientPolygons(polygons) {
+  return polygons.map(rings => rings.map((ring, r) =>
+    (r === 0) === (signedArea(ring) > 0) ? ring : ring.slice().reverse()));
+}
+
+// ─── Clipping ────────────────────────────────────────────────────────────────
+
+/**
+ * Clips closed rings, exteriors counter-clockwise and holes clockwise, to the
+ * half-plane sign * (p[axis] - value) >= 0. Each ring cut by the boundary line
+ * leaves chains that enter and leave through it; walking the line from each
+ * exit to the next entry, with the kept side on the left, joins them into
+ * closed rings again. A concave polygon can so come back as several rings,
+ * and a hole the line cuts becomes part of an exterior.
+ */
+function clipRingsToHalfPlane(rings, axis, value, sign) {
+  const side = (p) => sign * (p[axis] - value);
+  const along = (p) => sign * (axis === 0 ? -p[1] : p[0]);
+  const crossing = (a, b) => {
+    const t = (value - a[axis]) / (b[axis] - a[axis]);
+    const other = 1 - axis;
+    const point = [];
+    point[axis] = value;
+    point[other] = a[other] + t * (b[other] - a[other]);
+    return point;
+  };
+
+  const kept = [];
+  const chains = [];
+  // A chain that only touches the line encloses nothing
+  const finish = (chain) => { if (chain.some(p => side(p) > 0)) chains.push(chain); };
+  for (const ring of rings) {
+    const points = ring.slice(0, -1);
+    const start = points.findIndex(p => side(p) < 0);
+    if (start === -1) {
+      kept.push(ring);
+      continue;
+    }
+    let chain = null;
+    for (let k = 1; k <= points.length; k++) {
+      const previous = points[(start + k - 1) % points.length];
+      const current = points[(start + k) % points.length];
+      const next = points[(start + k + 1) % points.length];
+      if (side(current) >= 0) {
+        if (side(previous) < 0) chain = [crossing(previous, current)];
+        chain.push(current);
+        // Split at a reflex vertex touching the line: the kept parts on either
+        // side of it only meet there and become separate rings
+        if (side(current) === 0 && side(previous) >= 0 && side(next) >= 0 && orientation(previous, current, next) < 0) {
+          finish(chain);
+          chain = [current];
+        }
+      } else if (side(previous) >= 0) {
+        chain.push(crossing(previous, current));
+        finish(chain);
+        chain = null;
+      }
+    }
+  }
+
+  const used = new Set();
+  for (const first of chains) {
+    if (used.has(first)) continue;
+    const ring = [];
+    let chain = first;
+    while (chain && !used.has(chain)) {
+      used.add(chain);
+      ring.push(...chain);
+      const exit = along(chain[chain.length - 1]);
+      chain = chains.filter(c => along(c[0]) > exit)
+        .reduce((best, c) => (!best || along(c[0]) < along(best[0]) ? c : best), null);
+    }
+    ring.push(ring[0]);
+    kept.push(ring);
+  }
+  return kept;
+}
+
+/**
+ * Clips polygons to the box [west, south, east, north], treating edges as
+ * straight lon/lat lines. Holes are kept, and a polygon the box cuts into
+ * pieces comes back as several polygons. Returns a (possibly empty) list of
+ * polygons wound as in RFC 7946, with coordinates rounded to 9 decimals.
+ */
+function clipPolygonsToBox(polygons, [west, south, east, north]) {
+  let rings = orientPolygons(polygons).flat();
+  [[0, west, 1], [0, east, -1], [1, south, 1], [1, north, -1]].forEach(([axis, value, sign]) => {
+    rings = clipRingsToHalfPlane(rings, axis, value, sign);
+  });
+
+  rings = rings
+    .map(ring => ring.map(p => p.map(c => Number(c.toFixed(9))))
+      .filter((p, i, all) => i === 0 || p[0] !== all[i - 1][0] || p[1] !== all[i - 1][1]))
+    .filter(ring => ring.length >= 4 && Math.abs(signedArea(ring)) > 1e-12);
+
+  // Rings the box did not cut keep their winding; any clockwise one is a hole
+  // that lies inside exactly one remaining exterior
+  const exteriors = rings.filter(ring => signedArea(ring) > 0).map(ring => [ring]);
+  rings.filter(ring => signedArea(ring) < 0).forEach(hole => {
+    const owner = exteriors
+      .filter(([exterior]) => pointInRing(hole[0], exterior))
+      .reduce((best, p) => (!best || signedArea(p[0]) < signedArea(best[0]) ? p : best), null);
+    if (owner) owner.push(hole);
+  });
+  return exteriors;
+}
+
+/**
+ * Reads defaultStudyArea and, for local sources, loads and checks its
+ * geometry. Returns { spec, geometry, errors, warnings } where geometry is a
+ * GeoJSON Polygon or MultiPolygon with corrected winding (null for tables
+ * and when there are errors). Throws when the source cannot be read.
+ */
+function resolveStudyArea(value) {
+  const spec = parseStudyAreaSpec(value);
+  if (spec.source === 'table') return { spec, geometry: null, errors: [], warnings: [] };
+
+  let polygons;
+  if (spec.source === 'bbox') {
+    const [west, south, east, north] = spec.bbox;
+    polygons = [[[[west, south], [east, south], [east, north], [west, north], [west, south]]]];
+  } else if (spec.source === 'wkt') {
+    polygons = parseWkt(spec.wkt);
+  } else {
+    polygons = readGeoJson(spec);
+  }
+
+  const { errors, warnings } = checkPolygons(polygons);
+  if (errors.length > 0) return { spec, geometry: null, errors, warnings };
+
+  const oriented = orientPolygons(polygons);
+  const geometry = oriented.length === 1
+    ? { type: 'Polygon', coordinates: oriented[0] }
+    : { type: 'MultiPolygon', coordinates: oriented };
+  return { spec, geometry, errors, warnings };
+}
+
+module.exports = {
+  resolveStudyArea,
+  resolveStudyAreaPath,
+  parseStudyAreaSpec,
+  parseFilterExpression,
+  matchesFilter,
+  toEeFilter,
+  parseWkt,
+  checkPolygons,
+  closePolygons,
+  clipPolygonsToBox
+};
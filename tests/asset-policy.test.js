@@ -0,0 +1,133 @@
+/**
+ * Example of testing the asset overwrite policy without Earth Engine: the
+ * offline fixture caller runs against the ee recorder, with ee.data and the
+ * Export task factory replaced by stubs that log every call.
+ *
+ *   npm run test:asset-policy
+ *
+ * Checks that every target of an export is resolved before the first task
+ * starts, that an overwritten asset is deleted only after its task was
+ * created, right before start(), and that a failed lookup other than Earth
+ * Engine's "not found" stops the export.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runExperiment, createRecordingEE } = require('../runner11');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const ASSET = 'projects/example-project/assets/bulcd-offline-fixture';
+
+// Recording ee whose ee.data and Export.image.toAsset act on an in-memory asset
+// table. getAsset fails with Earth Engine's own message for a missing asset, or
+// with `denied` for the IDs listed there.
+function createStubEE(assets, calls, denied = {}) {
+  const recorder = createRecordingEE();
+  let nextTask = 1;
+  const data = {
+    getAsset: (id) => {
+      calls.push(['getAsset', id]);
+      if (denied[id]) throw new Error(denied[id]);
+      if (!assets[id]) throw new Error(`Asset '${id}' not found.`);
+      return { id, type: assets[id] };
+    },
+    deleteAsset: (id) => {
+      calls.push(['deleteAsset', id]);
+      delete assets[id];
+    },
+    createAsset: (asset, id) => {
+      calls.push(['createAsset', id]);
+      assets[id] = asset.type;
+    }
+  };
+  const toAsset = (config) => {
+    calls.push(['createTask', config.assetId]);
+    const id = `TASK${nextTask++}`;
+    return { id, start: () => calls.push(['start', config.assetId]) };
+  };
+  const batch = { Export: { image: { toAsset } } };
+  return new Proxy(recorder.ee, {
+    get: (target, key) => key === 'data' ? data : key === 'batch' ? batch : target[key]
+  });
+}
+
+// Sidecar extending the offline fixture, with the given exportParameters merged in
+function writeSidecar(dir, name, exportParameters) {
+  const file = path.join(dir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    extends: path.join(fixtures, 'offline-sidecar.json'),
+    exportParameters
+  }, null, 2));
+  return file;
+}
+
+async function run(sidecar, assets, denied) {
+  const calls = [];
+  const result = await runExperiment(path.join(fixtures, 'offline-caller.js'), fixtures, sidecar,
+    { offline: false, dryRun: false, ee: createStubEE(assets, calls, denied) });
+  return { result, calls: calls.filter(([op]) => op !== 'getAsset') };
+}
+
+// Collects console output, where the runner's Logger writes warnings
+async function captureOutput(fn) {
+  const lines = [];
+  const original = console.error;
+  console.error = (...args) => lines.push(args.join(' '));
+  try {
+    return { value: await fn(), output: lines.join('\n') };
+  } finally {
+    console.error = original;
+  }
+}
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulcd-asset-policy-'));
+  try {
+    // overwrite: the existing asset is deleted between creating and starting its task
+    let { result, calls } = await run(writeSidecar(dir, 'overwrite', { overwritePolicy: 'overwrite' }),
+      { [ASSET]: 'IMAGE' });
+    assert.ok(result.success, result.error);
+    assert.deepStrictEqual(calls, [['createTask', ASSET], ['deleteAsset', ASSET], ['start', ASSET]]);
+
+    // fail: one existing target among several destinations stops the export before anything starts
+    ({ result, calls } = await run(writeSidecar(dir, 'fail', {
+      overwritePolicy: 'fail',
+      destinations: [
+        { type: 'asset', assetId: `${ASSET}-new` },
+        { type: 'asset', assetId: ASSET }
+      ]
+    }), { [ASSET]: 'IMAGE' }));
+    assert.ok(!result.success);
+    assert.match(result.error, /Asset already exists/);
+    assert.deepStrictEqual(calls, []);
+
+    // A permission error is not "asset absent", even when its text mentions "not found"
+    const overwrite = writeSidecar(dir, 'denied', { overwritePolicy: 'overwrite' });
+    ({ result, calls } = await run(overwrite, {},
+      { [ASSET]: `Permission denied on '${ASSET}' (or it was not found)` }));
+    assert.ok(!result.success);
+    assert.match(result.error, /Permission denied/);
+    assert.deepStrictEqual(calls, []);
+
+    // A parent collection reported with the legacy "ImageCollection" type is accepted as is
+    const collection = 'projects/example-project/assets/bulcd-collection';
+    const { value, output } = await captureOutput(() => run(writeSidecar(dir, 'legacy', {
+      parentCollection: true,
+      destinations: [{ type: 'asset', assetId: `${collection}/tile` }]
+    }), { [collection]: 'ImageCollection' }));
+    assert.ok(value.result.success, value.result.error);
+    assert.deepStrictEqual(value.calls, [['createTask', `${collection}/tile`], ['start', `${collection}/tile`]]);
+    assert.doesNotMatch(output, /not an ImageCollection/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.error('asset policy: ok');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Minimal BULC-D style caller for the offline harness test: reads the injected
+// parameter modules, builds a small expression and starts one asset export.
+var inputParameters = require('users/alemlakes/r-2909-BULC-Releases:BULC/BULC-Callers-Current/BULCD-Caller-Parameters/BULCD-InputParameters-v5').inputParameters;
+var analysisParameters = require('users/alemlakes/r-2909-BULC-Releases:BULC/BULC-Callers-Current/BULCD-Caller-Parameters/BULCD-AnalysisParameters-v5').analysisParameters;
+var exportParams = require('users/alemlakes/r-2909-BULC-Releases:BULC/BULC-Callers-Current/BULCD-Caller-Parameters/BULCD-ExportParameters-v5').exportParameters;
+
+var theVersion = 'offline-fixture-1';
+
+var targetYear = ee.ImageCollection('LANDSAT/LC08/C02/T1_L2')
+  .filterBounds(inputParameters.defaultStudyArea)
+  .filterDate(inputParameters.theTargetYear + '-01-01', (inputParameters.theTargetYear + 1) + '-01-01')
+  .median();
+
+var change = targetYear.normalizedDifference(['SR_B5', 'SR_B7'])
+  .gt(analysisParameters.changeThreshold)
+  .rename('change');
+
+Export.image.toAsset({
+  image: change,
+  description: exportParams.description,
+  assetId: exportParams.assetId,
+  region: inputParameters.defaultStudyArea,
+  scale: exportParams.scale,
+  maxPixels: exportParams.maxPixels
+});
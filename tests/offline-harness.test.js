@@ -0,0 +1,47 @@
+/**
+ * Example of driving the runner from a test file: runs a small caller offline
+ * against the ee recorder, checks the recorded export and compares the whole
+ * expression graph with a golden snapshot.
+ *
+ *   npm run test:offline
+ *   node tests/offline-harness.test.js --update-golden   # accept an intended change
+ *
+ * No Earth Engine credentials are needed.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { runExperiment } = require('../runner11');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+async function main() {
+  const result = await runExperiment(
+    path.join(fixtures, 'offline-caller.js'),
+    fixtures,
+    path.join(fixtures, 'offline-sidecar.json'),
+    { offline: true, golden: path.join(__dirname, 'golden', 'offline-caller.json') }
+  );
+
+  assert.ok(result.success, result.error);
+
+  const { exports } = result.graph.result;
+  assert.strictEqual(exports.length, 1);
+  assert.strictEqual(exports[0].type, 'image.toAsset');
+  assert.strictEqual(exports[0].config.assetId, 'projects/example-project/assets/bulcd-offline-fixture');
+  assert.strictEqual(exports[0].config.scale, 30);
+
+  // Offline graphs carry no run- or version-specific provenance
+  const tags = result.graph.values[exports[0].config.image.ref].args[0];
+  assert.strictEqual(tags.bulcd_experiment, 'offline-sidecar');
+  assert.strictEqual(tags.bulcd_caller_version, 'offline-fixture-1');
+  assert.strictEqual(tags.bulcd_runner_version, undefined);
+  assert.strictEqual(tags.bulcd_sidecar_sha256, undefined);
+
+  console.error('offline harness: ok');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});